@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+/**
+ * Feierabend command-line tool
+ * Prints the worked time, balance and leave time for a start time, or counts down to the leave time with --watch.
+ * Uses the same calculation engine and settings as the web app.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { computeWorkday, WorkdayCalculator } = require('../src/workday.js');
+const { SettingsSchema } = require('../src/settings-schema.js');
+const translations = require('../src/translations.json');
+
+/**
+ * The settings ConfigManager starts with; other settings of the file (e.g. breakRules) are used as well
+ */
+const DEFAULT_CONFIG = {
+    targetHours: 8,
+    breakDuration: 30,
+    language: 'en'
+};
+
+const DEFAULT_CONFIG_FILE = path.join(os.homedir(), '.feierabend.json');
+
+const USAGE = `Usage: feierabend <start> [end] [options]
+
+  start, end        Times as HH:MM; without an end the time until now counts
+
+Options:
+  --watch           Count down to the leave time until Ctrl+C
+  --json            Print the result as JSON
+  --balance <h>     Flex balance before today in hours, e.g. 1.5 or -0.75
+  --overnight       Night shift: the end is on the next day (without an end: the shift started yesterday)
+  --config <file>   Settings file (default: ~/.feierabend.json)
+  --help            Show this help`;
+
+/**
+ * Read the command-line arguments
+ * @throws {Error} For unknown options and invalid values
+ */
+function parseArgs(argv) {
+    const options = { times: [], balance: null, watch: false, json: false, overnight: false, config: null, help: false };
+    const readValue = (index, name) => {
+        if (index >= argv.length) {
+            throw new Error(`${name} needs a value`);
+        }
+        return argv[index];
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--watch':
+            case '-w':
+                options.watch = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--overnight':
+                options.overnight = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            case '--balance':
+                options.balance = Number(readValue(++i, arg));
+                if (!isFinite(options.balance)) {
+                    throw new Error(`Invalid balance: ${argv[i]}`);
+                }
+                break;
+            case '--config':
+                options.config = readValue(++i, arg);
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                options.times.push(arg);
+        }
+    }
+
+    if (options.help) {
+        return options;
+    }
+    if (options.times.length === 0) {
+        throw new Error('Start time missing');
+    }
+    if (options.times.length > 2) {
+        throw new Error(`Too many times: ${options.times.join(' ')}`);
+    }
+
+    // 7:42 is accepted as 07:42
+    const [start, end] = options.times.map(time => {
+        const normalized = SettingsSchema.time(time.padStart(5, '0'));
+        if (!normalized) {
+            throw new Error(`Invalid time: ${time} (expected HH:MM)`);
+        }
+        return normalized;
+    });
+    if (end && options.watch) {
+        throw new Error('--watch counts down to the leave time and takes no end time');
+    }
+
+    return { ...options, start, end: end || null };
+}
+
+/**
+ * Load the settings file, a missing default file means the default settings
+ * The file can be the stored config of the web app or a backup file of it.
+ */
+function loadConfig(file = null) {
+    const configFile = file || DEFAULT_CONFIG_FILE;
+    if (!file && !fs.existsSync(configFile)) {
+        return { ...DEFAULT_CONFIG };
+    }
+
+    let stored;
+    try {
+        stored = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read settings file ${configFile}: ${error.message}`);
+    }
+    if (stored && stored.app === 'feierabend' && stored.data) {
+        stored = stored.data.config || {};
+    }
+
+    // Invalid values are dropped with a warning on stderr, the defaults apply instead
+    return SettingsSchema.withDefaults(DEFAULT_CONFIG, SettingsSchema.migrate(stored));
+}
+
+/**
+ * Calculate today's report
+ * Without an end the time until now counts; a start later today has no worked time yet.
+ */
+function calculate(options, config, now = new Date()) {
+    const date = new Date(now);
+    if (options.overnight && !options.end) {
+        // Die Schicht hat gestern begonnen und läuft noch
+        date.setDate(date.getDate() - 1);
+    }
+    const dateKey = WorkdayCalculator.getDateKey(date);
+    const startsLater = !options.end && !options.overnight && WorkdayCalculator.toDate(dateKey, options.start) > now;
+
+    const result = computeWorkday({
+        date: dateKey,
+        now,
+        startTime: options.start,
+        endTime: options.end || (startsLater ? '' : WorkdayCalculator.formatTime(now)),
+        overnight: options.overnight,
+        balance: options.balance || 0
+    }, config);
+    if (result.status === 'endBeforeStart') {
+        throw new Error('The end is before the start, use --overnight for a night shift');
+    }
+
+    const workingHours = result.status === 'complete' ? result.workingHours : 0;
+    const todayBalance = workingHours - result.targetHours;
+    return {
+        date: dateKey,
+        start: options.start,
+        end: result.status === 'complete' ? WorkdayCalculator.formatTime(result.segments[0].end) : null,
+        workingHours,
+        breakMinutes: result.status === 'complete' ? result.breakMinutes : 0,
+        targetHours: result.targetHours,
+        todayBalance,
+        totalBalance: options.balance === null ? null : options.balance + todayBalance,
+        leaveTime: WorkdayCalculator.formatTime(result.suggestedEndTime),
+        leaveAt: result.suggestedEndTime.toISOString()
+    };
+}
+
+function translate(language, key) {
+    const strings = translations[language] || translations.en;
+    return strings[key] || translations.en[key] || key;
+}
+
+/**
+ * Report as text lines in the configured language
+ */
+function formatReport(report, language = 'en') {
+    const label = key => {
+        const text = translate(language, key);
+        return text.endsWith(':') ? text : `${text}:`;
+    };
+    const formatBalance = hours => `${hours >= 0 ? '+' : ''}${WorkdayCalculator.formatHours(hours)}`;
+
+    const lines = [
+        `${label('workingHours')} ${WorkdayCalculator.formatHours(report.workingHours)}`,
+        `${label('todayBalance')} ${formatBalance(report.todayBalance)}`
+    ];
+    if (report.totalBalance !== null) {
+        lines.push(`${label('totalOvertime')} ${formatBalance(report.totalBalance)}`);
+    }
+    lines.push(`${label('suggestedEndTime')} ${report.leaveTime}`);
+    return lines.join('\n');
+}
+
+/**
+ * Countdown line to the leave time, overtime once it has passed
+ */
+function formatCountdown(report, now, language = 'en') {
+    const diffSeconds = Math.round((new Date(report.leaveAt) - now) / 1000);
+    const seconds = Math.abs(diffSeconds);
+    const clock = [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60]
+        .map(part => part.toString().padStart(2, '0'))
+        .join(':');
+
+    if (diffSeconds < 0) {
+        return `${translate(language, 'overtimeMessage')} +${clock}`;
+    }
+    return `${translate(language, 'timeUntilEndTitle')} (${report.leaveTime}): ${clock}`;
+}
+
+/**
+ * Redraw the countdown every second until the process is stopped
+ */
+function watch(options, config) {
+    const render = () => {
+        const now = new Date();
+        const line = formatCountdown(calculate(options, config, now), now, config.language);
+        // \x1b[K löscht den Rest der Zeile, falls die neue Ausgabe kürzer ist
+        process.stdout.write(process.stdout.isTTY ? `\r${line}\x1b[K` : `${line}\n`);
+    };
+
+    render();
+    const timer = setInterval(render, 1000);
+    process.on('SIGINT', () => {
+        clearInterval(timer);
+        process.stdout.write('\n');
+        process.exit(0);
+    });
+}
+
+function main(argv = process.argv.slice(2)) {
+    try {
+        const options = parseArgs(argv);
+        if (options.help) {
+            console.log(USAGE);
+            return;
+        }
+
+        const config = loadConfig(options.config);
+        if (options.watch) {
+            watch(options, config);
+            return;
+        }
+
+        const report = calculate(options, config);
+        console.log(options.json ? JSON.stringify(report, null, 2) : formatReport(report, config.language));
+    } catch (error) {
+        console.error(`feierabend: ${error.message}`);
+        console.error('Try feierabend --help');
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseArgs, loadConfig, calculate, formatReport, formatCountdown };
@@ -0,0 +1,358 @@
+#!/usr/bin/env node
+/**
+ * Local server
+ * Serves the web app from src/ and keeps settings and day log of every profile in one JSON file,
+ * so several devices share one timesheet. Without this server the app uses the browser storage.
+ *
+ * API (every route takes ?profile=<id>, default profile when missing):
+ *   GET    /api/health           Detects the server
+ *   GET    /api/config           Stored settings, 404 if none
+ *   PUT    /api/config           Save the settings
+ *   GET    /api/days             All logged days, oldest first
+ *   PUT    /api/days             Replace all logged days, the missing ones count as deleted
+ *   GET    /api/days/<date>      One day, 404 if not logged
+ *   PUT    /api/days/<date>      Save one day
+ *   DELETE /api/days/<date>      Delete one day
+ *   GET    /api/deleted          When each deleted day was deleted, by date
+ *   GET    /api/balance          Carried balance, ?before=<date> for the balance before a day
+ *   DELETE /api/profile          Delete the settings and day log of a profile
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { SettingsSchema } = require('../src/settings-schema.js');
+
+const ROOT = path.join(__dirname, '..', 'src');
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', 'data', 'feierabend.json');
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav'
+};
+
+/**
+ * Error with the HTTP status to answer with
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * JSON Store
+ * All data in memory, written to the file after every change
+ * Shape: { version, profiles: { <id>: { config, days: { <date>: entry }, deleted: { <date>: ISO time } } } }
+ * The deletion times keep other devices from uploading a deleted day again when they sync.
+ * Profiles are kept in a map without prototype, so ids like "constructor" or "__proto__" are plain profiles.
+ */
+class JsonStore {
+    constructor(file) {
+        this.file = file;
+        this.data = { version: JsonStore.version, profiles: Object.create(null) };
+        this.load();
+    }
+
+    static get version() {
+        return 1;
+    }
+
+    load() {
+        if (!fs.existsSync(this.file)) {
+            return;
+        }
+
+        const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        if (!data || typeof data.profiles !== 'object') {
+            throw new Error(`${this.file} is not a data file of this server`);
+        }
+        this.data = { ...data, profiles: Object.assign(Object.create(null), data.profiles) };
+    }
+
+    /**
+     * Write to a temporary file first, so a crash never leaves half a file behind
+     */
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tempFile = `${this.file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tempFile, this.file);
+    }
+
+    getProfile(id) {
+        const profile = Object.hasOwn(this.data.profiles, id) ? this.data.profiles[id] : { config: null, days: {} };
+        // Data files of older versions have no deletion times
+        return { deleted: {}, ...profile };
+    }
+
+    updateProfile(id, changes) {
+        this.data.profiles[id] = { ...this.getProfile(id), ...changes };
+        this.save();
+    }
+
+    deleteProfile(id) {
+        delete this.data.profiles[id];
+        this.save();
+    }
+
+    getDays(id) {
+        return Object.values(this.getProfile(id).days).sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Opening balance plus the balances of all days (before the given date)
+     */
+    getBalance(id, before = null) {
+        const profile = this.getProfile(id);
+        const days = this.getDays(id).filter(day => !before || day.date < before);
+        const openingBalance = profile.config && typeof profile.config.openingBalance === 'number' ? profile.config.openingBalance : 0;
+        return {
+            balance: days.reduce((sum, day) => sum + day.todayBalance, openingBalance),
+            openingBalance,
+            days: days.length
+        };
+    }
+}
+
+/**
+ * Whether a day has the shape of a day log entry (like BackupManager.isValidDay in the app)
+ */
+function isValidDay(day) {
+    const isTime = value => value === undefined || value === '' || SettingsSchema.time(value) !== undefined;
+    const isIntervals = value => value === undefined || SettingsSchema.intervals(value) !== undefined;
+    return SettingsSchema.isObject(day) &&
+        SettingsSchema.date(day.date) !== undefined &&
+        ['work', 'vacation', 'sick', 'flexDay'].includes(day.type || 'work') &&
+        ['workingHours', 'targetHours', 'todayBalance'].every(field => typeof day[field] === 'number' && isFinite(day[field])) &&
+        isTime(day.startTime) && isTime(day.endTime) &&
+        isIntervals(day.segments) && isIntervals(day.breaks);
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                request.destroy();
+            }
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(new HttpError(400, 'Request body is not valid JSON'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'], 'Cache-Control': 'no-store' });
+    response.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+/**
+ * Answer an API request
+ */
+async function handleApi(store, request, response, url) {
+    const profile = url.searchParams.get('profile') || 'default';
+    if (!/^[\w-]{1,64}$/.test(profile)) {
+        throw new HttpError(400, 'Invalid profile');
+    }
+
+    const route = url.pathname.replace(/^\/api\//, '').replace(/\/$/, '');
+    const segments = route.split('/');
+    const [resource, date] = segments;
+    const method = request.method;
+
+    // Only days/<date> has a second segment, anything longer is not a route
+    if (segments.length > 2 || (segments.length === 2 && resource !== 'days')) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    if (route === 'health' && method === 'GET') {
+        return sendJson(response, 200, { app: 'feierabend', version: JsonStore.version });
+    }
+
+    if (route === 'config') {
+        if (method === 'GET') {
+            const { config } = store.getProfile(profile);
+            return config ? sendJson(response, 200, config) : sendJson(response, 404, { error: 'No settings stored' });
+        }
+        if (method === 'PUT') {
+            const body = await readBody(request);
+            if (!SettingsSchema.isObject(body)) {
+                throw new HttpError(400, 'Settings must be an object');
+            }
+            // Invalid values are repaired like in the browser
+            const config = SettingsSchema.migrate(body);
+            store.updateProfile(profile, { config });
+            return sendJson(response, 200, config);
+        }
+    }
+
+    if (route === 'days') {
+        if (method === 'GET') {
+            return sendJson(response, 200, store.getDays(profile));
+        }
+        if (method === 'PUT') {
+            const body = await readBody(request);
+            if (!Array.isArray(body) || !body.every(isValidDay)) {
+                throw new HttpError(400, 'Days must be a list of day log entries');
+            }
+            const days = {};
+            body.forEach(day => {
+                days[day.date] = day;
+            });
+            
+            const previous = store.getProfile(profile);
+            const deleted = { ...previous.deleted };
+            const now = new Date().toISOString();
+            Object.keys(previous.days).filter(date => !days[date]).forEach(date => {
+                deleted[date] = now;
+            });
+            Object.keys(days).forEach(date => {
+                delete deleted[date];
+            });
+            store.updateProfile(profile, { days, deleted });
+            return sendJson(response, 200, store.getDays(profile));
+        }
+    }
+
+    if (resource === 'days' && date !== undefined) {
+        if (SettingsSchema.date(date) === undefined) {
+            throw new HttpError(400, 'Invalid date');
+        }
+        const { days, deleted } = store.getProfile(profile);
+
+        if (method === 'GET') {
+            return days[date] ? sendJson(response, 200, days[date]) : sendJson(response, 404, { error: 'Day not logged' });
+        }
+        if (method === 'PUT') {
+            const day = await readBody(request);
+            if (!isValidDay(day) || day.date !== date) {
+                throw new HttpError(400, 'Invalid day log entry');
+            }
+            const { [date]: deletedAt, ...stillDeleted } = deleted;
+            store.updateProfile(profile, { days: { ...days, [date]: day }, deleted: stillDeleted });
+            return sendJson(response, 200, day);
+        }
+        if (method === 'DELETE') {
+            const { [date]: removed, ...remaining } = days;
+            store.updateProfile(profile, { days: remaining, deleted: { ...deleted, [date]: new Date().toISOString() } });
+            return sendJson(response, 204);
+        }
+    }
+
+    if (route === 'deleted' && method === 'GET') {
+        return sendJson(response, 200, store.getProfile(profile).deleted);
+    }
+
+    if (route === 'balance' && method === 'GET') {
+        const before = url.searchParams.get('before');
+        if (before && SettingsSchema.date(before) === undefined) {
+            throw new HttpError(400, 'Invalid date');
+        }
+        return sendJson(response, 200, store.getBalance(profile, before));
+    }
+
+    if (route === 'profile' && method === 'DELETE') {
+        store.deleteProfile(profile);
+        return sendJson(response, 204);
+    }
+
+    throw new HttpError(['health', 'config', 'days', 'deleted', 'balance', 'profile'].includes(resource) ? 405 : 404, 'Not found');
+}
+
+/**
+ * Serve a file of the web app
+ */
+function serveFile(request, response, url) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        throw new HttpError(405, 'Method not allowed');
+    }
+
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch (error) {
+        throw new HttpError(400, 'Bad request');
+    }
+
+    let file = path.normalize(path.join(ROOT, pathname));
+    if (file !== ROOT && !file.startsWith(ROOT + path.sep)) {
+        throw new HttpError(403, 'Forbidden');
+    }
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+        file = path.join(file, 'index.html');
+    }
+    if (!fs.existsSync(file)) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+    if (request.method === 'HEAD') {
+        response.end();
+        return;
+    }
+    fs.createReadStream(file).pipe(response);
+}
+
+/**
+ * Create the server, not yet listening
+ * @param {Object} options
+ * @param {string} options.dataFile JSON file with all data, created on the first change
+ */
+function createServer({ dataFile = DEFAULT_DATA_FILE } = {}) {
+    const store = new JsonStore(dataFile);
+
+    return http.createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        try {
+            if (url.pathname.startsWith('/api/')) {
+                await handleApi(store, request, response, url);
+            } else {
+                serveFile(request, response, url);
+            }
+        } catch (error) {
+            const status = error instanceof HttpError ? error.status : 500;
+            if (status === 500) {
+                console.error(`${request.method} ${request.url} failed:`, error);
+            }
+            if (url.pathname.startsWith('/api/')) {
+                sendJson(response, status, { error: status === 500 ? 'Internal server error' : error.message });
+            } else {
+                response.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+                response.end(status === 500 ? 'Internal server error' : error.message);
+            }
+        }
+    });
+}
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 8000;
+    // Only this computer by default; HOST=0.0.0.0 shares the app with other devices in the network
+    const host = process.env.HOST || '127.0.0.1';
+    const dataFile = process.env.DATA_FILE ? path.resolve(process.env.DATA_FILE) : DEFAULT_DATA_FILE;
+
+    createServer({ dataFile }).listen(port, host, () => {
+        console.log(`Feierabend Calculator running at http://${host}:${port}/`);
+        console.log(`Data file: ${dataFile}`);
+    });
+}
+
+module.exports = { createServer, JsonStore, isValidDay };
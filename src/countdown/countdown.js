@@ -8,6 +8,7 @@ class CountdownManager {
         // Elemente
         this.countdownDisplay = document.getElementById('countdown-display');
         this.countdownMessage = document.getElementById('countdown-message');
+        this.limitWarning = document.getElementById('limit-warning');
         this.countdownTitle = document.querySelector('.countdown-title'); // Titel für Ausblendung bei Überstunden
         this.backBtn = document.querySelector('.back-btn'); // Geändert: Verwende Klasse statt ID
         this.settingsBtn = document.getElementById('settings-btn');
@@ -15,15 +16,21 @@ class CountdownManager {
         this.enableAudio = document.getElementById('enable-audio');
         this.enableNotifications = document.getElementById('enable-notifications');
         this.modalClose = document.querySelector('#settings-modal .close');
+        this.profileBadge = document.getElementById('profile-badge');
+        this.profileBadgeName = document.getElementById('profile-badge-name');
         
         // Parameter
         this.targetTime = null;
         this.intervalId = null;
         this.isOvertime = false;
         this.overtimeStartTime = null;
+        this.limitTime = null; // Späteste Endzeit vor der Höchstarbeitszeit
+        this.limitWarningMinutes = NotificationScheduler.limitWarningMinutes; // Vorwarnzeit vor der Höchstarbeitszeit
+        this.limitNotified = false;
         this.translationManager = new TranslationManager();
         this.configManager = new ConfigManager();
         this.themeManager = new ThemeManager();
+        this.notificationScheduler = new NotificationScheduler();
         
         // Audio für Benachrichtigung
         this.audio = new Audio('../assets/notification.mp3');
@@ -43,15 +50,21 @@ class CountdownManager {
         const params = new URLSearchParams(window.location.search);
         const timeParam = params.get('time'); // Format: HH:MM oder Minuten
         const negativeParam = params.get('negative') === 'true';
+        const limitParam = params.get('limit'); // Format: HH:MM
         
         // Stelle sicher, dass wir eine Zeit haben
         if (timeParam) {
             this.setTargetTime(timeParam, negativeParam);
         } else {
-            // Fallback: 8 Stunden ab jetzt
-            const config = this.configManager.getConfig();
-            const targetHours = config.targetHours || 8;
-            this.setTargetTime(`${targetHours}:00`, false);
+            // Fallback: Feierabend bei Arbeitsbeginn jetzt, Zielarbeitszeit plus vorgeschriebene Pause
+            // Als Minuten übergeben, damit ein Feierabend nach Mitternacht nicht als Überstunden gilt
+            const now = new Date();
+            const result = computeWorkday({ startTime: WorkdayCalculator.formatTime(now), now }, this.configManager.getConfig());
+            this.setTargetTime(String(Math.round((result.suggestedEndTime - now) / 60000)), false);
+        }
+        
+        if (limitParam) {
+            this.setLimitTime(limitParam);
         }
         
         // Lade gespeicherte Einstellungen
@@ -63,6 +76,9 @@ class CountdownManager {
         // Event-Listener
         this.bindEvents();
         
+        // Benachrichtigungen auch im Hintergrund über den Service Worker
+        this.scheduleAlerts();
+        
         // Starte den Countdown
         this.startCountdown();
     }
@@ -72,7 +88,7 @@ class CountdownManager {
      */
     loadSettings() {
         try {
-            const settings = JSON.parse(localStorage.getItem('countdownSettings')) || {};
+            const settings = JSON.parse(localStorage.getItem(ProfileManager.getStorageKey('countdownSettings'))) || {};
             this.enableAudio.checked = settings.audio === true;
             this.enableNotifications.checked = settings.notifications === true;
             
@@ -94,7 +110,7 @@ class CountdownManager {
                 audio: this.enableAudio.checked,
                 notifications: this.enableNotifications.checked
             };
-            localStorage.setItem('countdownSettings', JSON.stringify(settings));
+            localStorage.setItem(ProfileManager.getStorageKey('countdownSettings'), JSON.stringify(settings));
         } catch (error) {
             console.error('Failed to save countdown settings:', error);
         }
@@ -144,6 +160,9 @@ class CountdownManager {
             // Update Dokumententitel
             document.title = this.translationManager.get('countdownTitle');
             
+            // Der Name des Standardprofils ist übersetzt
+            this.renderProfile();
+            
             // Erzeuge ein Event, um andere Komponenten zu informieren, dass Übersetzungen angewendet wurden
             document.dispatchEvent(new CustomEvent('translationsApplied', { 
                 detail: { language: this.translationManager.currentLanguage }
@@ -153,6 +172,16 @@ class CountdownManager {
         }
     }
     
+    /**
+     * Zeige das aktive Profil, sobald es mehr als eines gibt
+     * Der Countdown rechnet mit den Einstellungen dieses Profils
+     */
+    renderProfile() {
+        const profile = ProfileManager.getActive();
+        this.profileBadgeName.textContent = profile.name || this.translationManager.get('profileDefaultName');
+        this.profileBadge.classList.toggle('hidden', ProfileManager.getProfiles().length < 2);
+    }
+    
     /**
      * Event-Listener registrieren
      */
@@ -182,11 +211,12 @@ class CountdownManager {
         });
         
         // Benachrichtigungs-Einstellung
-        this.enableNotifications.addEventListener('change', () => {
+        this.enableNotifications.addEventListener('change', async () => {
             if (this.enableNotifications.checked && Notification.permission !== 'granted') {
-                Notification.requestPermission();
+                await Notification.requestPermission();
             }
             this.saveSettings();
+            this.scheduleAlerts();
         });
         
         // Tastaturkürzel
@@ -279,6 +309,67 @@ class CountdownManager {
         console.log(`Target time set to: ${this.targetTime.toLocaleTimeString()}, isOvertime: ${this.isOvertime}`);
     }
     
+    /**
+     * Setze die späteste Endzeit vor der Höchstarbeitszeit
+     * @param {string} timeValue - Zeit als "HH:MM"
+     */
+    setLimitTime(timeValue) {
+        const [hours, minutes] = timeValue.split(':').map(Number);
+        if (isNaN(hours) || isNaN(minutes)) {
+            return;
+        }
+        
+        this.limitTime = new Date();
+        this.limitTime.setHours(hours, minutes, 0, 0);
+        
+        // Endzeit nach Mitternacht (z. B. bei Nachtschichten)
+        if (this.targetTime && this.limitTime < this.targetTime) {
+            this.limitTime.setDate(this.limitTime.getDate() + 1);
+        }
+    }
+    
+    /**
+     * Warne vor dem Erreichen der Höchstarbeitszeit
+     */
+    updateLimitWarning(now) {
+        if (!this.limitTime || !this.limitWarning) {
+            return;
+        }
+        
+        const diffMs = this.limitTime - now;
+        if (diffMs > this.limitWarningMinutes * 60 * 1000) {
+            this.limitWarning.classList.add('hidden');
+            return;
+        }
+        
+        if (diffMs <= 0) {
+            this.limitWarning.textContent = this.translationManager.get('limitExceededMessage');
+            this.limitWarning.classList.add('limit-exceeded');
+        } else {
+            const hours = Math.floor(diffMs / (1000 * 60 * 60));
+            const minutes = Math.floor((diffMs % (1000 * 60 * 60)) / (1000 * 60));
+            const seconds = Math.floor((diffMs % (1000 * 60)) / 1000);
+            this.limitWarning.textContent = `${this.translationManager.get('limitApproachingMessage')} ${this.formatTime(hours, minutes, seconds)}`;
+            this.limitWarning.classList.remove('limit-exceeded');
+            
+            if (!this.limitNotified) {
+                this.limitNotified = true;
+                this.showLimitNotification();
+            }
+        }
+        this.limitWarning.classList.remove('hidden');
+    }
+    
+    /**
+     * Schedule the end-of-work alert and the pre-alerts in the service worker, so they arrive while this tab is in the background
+     * During overtime the target time is made up and only the limit warning is left
+     */
+    scheduleAlerts() {
+        const endTime = this.isOvertime ? null : this.targetTime;
+        const alerts = NotificationScheduler.createAlerts(endTime, this.limitTime, key => this.translationManager.get(key));
+        this.notificationScheduler.schedule(alerts);
+    }
+    
     /**
      * Starte den Countdown
      */
@@ -300,6 +391,7 @@ class CountdownManager {
      */
     updateCountdown() {
         const now = new Date();
+        this.updateLimitWarning(now);
         
         // Wenn wir bereits im Überstunden-Modus sind
         if (this.isOvertime) {
@@ -388,7 +480,7 @@ class CountdownManager {
     calculateStartTime() {
         const config = this.configManager.getConfig();
         const targetHours = config.targetHours || 8;
-        const breakMinutes = config.breakDuration || 30;
+        const breakMinutes = new WorkdayCalculator(config).getEffectiveBreakDuration(targetHours * 60);
         
         // Startzeit berechnen (Zielzeit - Arbeitsstunden - Pause)
         const totalWorkMinutes = (targetHours * 60) + breakMinutes;
@@ -416,6 +508,12 @@ class CountdownManager {
             }
         }
         
+        // Der Service Worker zeigt die geplante Benachrichtigung, hier nur anstoßen
+        if (this.notificationScheduler.isActive()) {
+            this.notificationScheduler.check();
+            return;
+        }
+        
         // Desktop-Benachrichtigung
         if (this.enableNotifications.checked && Notification.permission === 'granted') {
             try {
@@ -423,7 +521,7 @@ class CountdownManager {
                     this.translationManager.get('endOfWorkTitle') || 'Feierabend!',
                     {
                         body: this.translationManager.get('endOfWorkMessage') || 'Dein Arbeitstag ist jetzt beendet. Zeit nach Hause zu gehen!',
-                        icon: 'assets/favicon.svg'
+                        icon: '../assets/favicon.svg'
                     }
                 );
                 
@@ -435,6 +533,32 @@ class CountdownManager {
         }
     }
     
+    /**
+     * Zeige eine Benachrichtigung kurz vor der Höchstarbeitszeit an
+     */
+    showLimitNotification() {
+        if (this.notificationScheduler.isActive()) {
+            this.notificationScheduler.check();
+            return;
+        }
+        
+        if (this.enableNotifications.checked && Notification.permission === 'granted') {
+            try {
+                const notification = new Notification(
+                    this.translationManager.get('limitWarningTitle') || 'Höchstarbeitszeit',
+                    {
+                        body: `${this.translationManager.get('limitApproachingMessage')} ${this.limitWarningMinutes} ${this.translationManager.get('minutes')}`,
+                        icon: '../assets/favicon.svg'
+                    }
+                );
+                
+                setTimeout(() => notification.close(), 10000);
+            } catch (error) {
+                console.warn('Could not show notification:', error);
+            }
+        }
+    }
+    
     // Die resetCountdown-Methode wurde entfernt, da sie nicht mehr benötigt wird
 }
 
@@ -506,13 +630,19 @@ class TranslationManager {
                 "notificationSettings": "Notification Settings",
                 "endOfWorkTitle": "End of work!",
                 "endOfWorkMessage": "Your workday has ended. Time to go home!",
+                "endOfWorkSoonTitle": "End of work soon",
+                "endOfWorkAtMessage": "End of work at",
                 "overtimeMessage": "You are doing overtime!",
                 "almostDoneMessage": "Almost done! End of work soon.",
                 "endingSoonMessage": "The workday is coming to an end.",
                 "workdayCompleteMessage": "of the workday completed",
+                "limitWarningTitle": "Maximum working time",
+                "limitApproachingMessage": "Daily maximum working time reached in",
+                "limitExceededMessage": "Daily maximum working time exceeded!",
                 "hours": "hours",
                 "hour": "hour",
-                "minutes": "minutes"
+                "minutes": "minutes",
+                "profileDefaultName": "Default"
             },
             "de": {
                 "appTitle": "Feierabend Calculator",
@@ -525,13 +655,19 @@ class TranslationManager {
                 "notificationSettings": "Benachrichtigungen",
                 "endOfWorkTitle": "Feierabend!",
                 "endOfWorkMessage": "Dein Arbeitstag ist jetzt beendet. Zeit nach Hause zu gehen!",
+                "endOfWorkSoonTitle": "Bald Feierabend",
+                "endOfWorkAtMessage": "Feierabend um",
                 "overtimeMessage": "Du machst Überstunden!",
                 "almostDoneMessage": "Fast geschafft! Bald ist Feierabend.",
                 "endingSoonMessage": "Der Arbeitstag neigt sich dem Ende zu.",
                 "workdayCompleteMessage": "des Arbeitstages absolviert",
+                "limitWarningTitle": "Höchstarbeitszeit",
+                "limitApproachingMessage": "Höchstarbeitszeit erreicht in",
+                "limitExceededMessage": "Höchstarbeitszeit überschritten!",
                 "hours": "Stunden",
                 "hour": "Stunde",
-                "minutes": "Minuten"
+                "minutes": "Minuten",
+                "profileDefaultName": "Standard"
             }
         };
     }
@@ -541,14 +677,11 @@ class TranslationManager {
      */
     loadLanguageFromStorage() {
         try {
-            const savedConfig = localStorage.getItem('flexibleTimeCalculatorConfig');
-            if (savedConfig) {
-                const config = JSON.parse(savedConfig);
-                if (config.language) {
-                    this.setLanguage(config.language);
-                    console.log('Language loaded from storage:', config.language);
-                    return config.language;
-                }
+            const config = SettingsSchema.load();
+            if (config.language) {
+                this.setLanguage(config.language);
+                console.log('Language loaded from storage:', config.language);
+                return config.language;
             }
             return this.currentLanguage;
         } catch (error) {
@@ -605,10 +738,7 @@ class ConfigManager {
 
     loadConfig() {
         try {
-            const savedConfig = localStorage.getItem('flexibleTimeCalculatorConfig');
-            if (savedConfig) {
-                this.config = { ...this.defaultConfig, ...JSON.parse(savedConfig) };
-            }
+            this.config = SettingsSchema.withDefaults(this.defaultConfig, SettingsSchema.load());
         } catch (error) {
             console.warn('Failed to load configuration, using defaults:', error);
             this.config = { ...this.defaultConfig };
@@ -633,12 +763,9 @@ class ThemeManager {
 
     loadTheme() {
         try {
-            const savedConfig = localStorage.getItem('flexibleTimeCalculatorConfig');
-            if (savedConfig) {
-                const config = JSON.parse(savedConfig);
-                if (config.theme && ['system', 'light', 'dark'].includes(config.theme)) {
-                    this.currentTheme = config.theme;
-                }
+            const config = SettingsSchema.load();
+            if (config.theme && ['system', 'light', 'dark'].includes(config.theme)) {
+                this.currentTheme = config.theme;
             }
         } catch (error) {
             console.warn('Failed to load theme, using system default:', error);
@@ -683,11 +810,18 @@ class ThemeManager {
 // Initialisiere die Anwendung, wenn das DOM geladen ist
 document.addEventListener('DOMContentLoaded', () => {
     // Prüfe, ob die Audio-Datei vorhanden ist, sonst erstelle sie
-    fetch('assets/notification.mp3')
+    fetch('../assets/notification.mp3')
         .catch(() => {
             console.warn('Notification sound not found. Add a notification.mp3 file to the assets folder for sound notifications.');
         });
     
     // Countdown-Manager initialisieren
     const countdownManager = new CountdownManager();
+    
+    // Der Service Worker liegt neben index.html, damit er die ganze App offline bereitstellt
+    if ('serviceWorker' in navigator && window.location.protocol.startsWith('http')) {
+        navigator.serviceWorker.register('../service-worker.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    }
 });
@@ -0,0 +1,155 @@
+/**
+ * Notification Scheduler
+ * Hands the end-of-work alert and the pre-alerts to the service worker, which shows them while the calculator
+ * or the countdown is open, also in a background tab. The latest schedule of any page replaces the previous one.
+ * Only an open tab keeps the worker running: notification triggers (TimestampTrigger) ship in no browser, so with
+ * every tab closed no alert fires. The next visit shows the ones due in the last 30 minutes and drops older ones.
+ */
+class NotificationScheduler {
+    constructor() {
+        this.lastSchedule = null;
+        this.keepAliveId = null;
+    }
+
+    /**
+     * Minutes before the end of work for the pre-alert
+     */
+    static get preAlertMinutes() {
+        return 15;
+    }
+
+    /**
+     * Minutes before the daily maximum for the limit warning, like the warning on the countdown page
+     */
+    static get limitWarningMinutes() {
+        return 30;
+    }
+
+    /**
+     * Each message wakes the service worker up to show due alerts, browsers stop it when it is idle.
+     * Timers of background tabs run about once a minute, which is still in time for an alert
+     */
+    static get keepAliveInterval() {
+        return 30 * 1000;
+    }
+
+    static isSupported() {
+        return 'serviceWorker' in navigator && typeof Notification !== 'undefined' && window.location.protocol.startsWith('http');
+    }
+
+    /**
+     * Desktop notifications are switched on in the countdown settings and allowed by the browser
+     */
+    static isEnabled() {
+        try {
+            const settings = JSON.parse(localStorage.getItem(ProfileManager.getStorageKey('countdownSettings'))) || {};
+            return settings.notifications === true && Notification.permission === 'granted';
+        } catch (error) {
+            console.warn('Failed to read notification settings:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Alerts for an end of work and a latest end before the daily maximum
+     * @param {Date|null} endTime When to leave
+     * @param {Date|null} limitTime Latest end before the daily maximum
+     * @param {Function} translate Returns the text for a translation key
+     * @returns {Array<{tag: string, at: number, title: string, body: string}>} Alerts, at in milliseconds
+     */
+    static createAlerts(endTime, limitTime, translate) {
+        const alerts = [];
+        if (endTime) {
+            alerts.push({
+                tag: 'end-soon',
+                at: endTime.getTime() - NotificationScheduler.preAlertMinutes * 60 * 1000,
+                title: translate('endOfWorkSoonTitle'),
+                body: `${translate('endOfWorkAtMessage')} ${WorkdayCalculator.formatTime(endTime)}`
+            });
+            alerts.push({
+                tag: 'end',
+                at: endTime.getTime(),
+                title: translate('endOfWorkTitle'),
+                body: translate('endOfWorkMessage')
+            });
+        }
+        if (limitTime) {
+            alerts.push({
+                tag: 'limit',
+                at: limitTime.getTime() - NotificationScheduler.limitWarningMinutes * 60 * 1000,
+                title: translate('limitWarningTitle'),
+                body: `${translate('limitApproachingMessage')} ${NotificationScheduler.limitWarningMinutes} ${translate('minutes')}`
+            });
+        }
+        return alerts;
+    }
+
+    /**
+     * Whether the service worker shows the scheduled alerts, the page then doesn't show its own
+     */
+    isActive() {
+        return NotificationScheduler.isSupported() && !!navigator.serviceWorker.controller && this.keepAliveId !== null;
+    }
+
+    /**
+     * Replace the scheduled alerts; an empty list cancels them
+     * Without enabled notifications every alert is cancelled
+     */
+    async schedule(alerts) {
+        if (!NotificationScheduler.isSupported()) {
+            return;
+        }
+        
+        const next = NotificationScheduler.isEnabled() ? alerts : [];
+        const schedule = JSON.stringify(next);
+        
+        // The calculator recalculates every minute, unchanged times are not sent again
+        if (schedule === this.lastSchedule) {
+            return;
+        }
+        
+        if (!await this.post({ type: 'scheduleAlerts', alerts: next })) {
+            return;
+        }
+        this.lastSchedule = schedule;
+        
+        clearInterval(this.keepAliveId);
+        this.keepAliveId = null;
+        if (next.length > 0) {
+            this.keepAliveId = setInterval(() => this.check(), NotificationScheduler.keepAliveInterval);
+        }
+    }
+
+    cancel() {
+        return this.schedule([]);
+    }
+
+    /**
+     * Ask the service worker to show the alerts that are due now
+     */
+    check() {
+        if (!navigator.serviceWorker.controller) {
+            return Promise.resolve();
+        }
+        return this.post({ type: 'checkAlerts' });
+    }
+
+    /**
+     * Send a message to the active service worker
+     * @returns {Promise<boolean>} Whether a worker received it
+     */
+    async post(message) {
+        try {
+            // serviceWorker.ready never resolves without a registered worker
+            const registration = await navigator.serviceWorker.getRegistration();
+            if (!registration || !registration.active) {
+                return false;
+            }
+            registration.active.postMessage(message);
+            return true;
+        } catch (error) {
+            console.warn('Could not reach the service worker:', error);
+            return false;
+        }
+    }
+}
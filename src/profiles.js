@@ -0,0 +1,130 @@
+/**
+ * Profile Manager
+ * Named profiles for different jobs or contracts, shared by the main page and the countdown page.
+ * Every profile keeps its own settings, countdown notifications, stamps and day log. The default profile uses the original
+ * storage keys, so data from before profiles existed simply becomes the default profile.
+ */
+class ProfileManager {
+    static get storageKey() {
+        return 'profiles';
+    }
+
+    static get defaultId() {
+        return 'default';
+    }
+
+    /**
+     * localStorage keys that exist once per profile
+     */
+    static get profileKeys() {
+        return ['flexibleTimeCalculatorConfig', 'stampState', 'countdownSettings'];
+    }
+
+    /**
+     * IndexedDB database with the day log, one per profile
+     */
+    static get databaseName() {
+        return 'flexibleTimeCalculator';
+    }
+
+    /**
+     * Load the profile list, repaired so the default profile always exists and the active one is valid
+     * @returns {{active: string, profiles: Array<{id: string, name: string}>}}
+     */
+    static load() {
+        let state = null;
+        try {
+            state = JSON.parse(localStorage.getItem(ProfileManager.storageKey));
+        } catch (error) {
+            console.warn('Failed to load profiles, using the default profile:', error);
+        }
+        
+        const profiles = state && Array.isArray(state.profiles)
+            ? state.profiles.filter(profile => profile && typeof profile.id === 'string' && typeof profile.name === 'string')
+            : [];
+        if (!profiles.some(profile => profile.id === ProfileManager.defaultId)) {
+            // Leerer Name: die Oberfläche zeigt den übersetzten Standardnamen
+            profiles.unshift({ id: ProfileManager.defaultId, name: '' });
+        }
+        
+        const active = state && profiles.some(profile => profile.id === state.active) ? state.active : ProfileManager.defaultId;
+        return { active, profiles };
+    }
+
+    static save(state) {
+        try {
+            localStorage.setItem(ProfileManager.storageKey, JSON.stringify(state));
+        } catch (error) {
+            console.error('Failed to save profiles:', error);
+        }
+    }
+
+    static getProfiles() {
+        return ProfileManager.load().profiles;
+    }
+
+    static getActiveId() {
+        return ProfileManager.load().active;
+    }
+
+    static getActive() {
+        const state = ProfileManager.load();
+        return state.profiles.find(profile => profile.id === state.active);
+    }
+
+    /**
+     * Storage key (or database name) of a profile, the default profile keeps the plain key
+     */
+    static getStorageKey(key, id = ProfileManager.getActiveId()) {
+        return id === ProfileManager.defaultId ? key : `${key}:${id}`;
+    }
+
+    static setActive(id) {
+        const state = ProfileManager.load();
+        if (state.profiles.some(profile => profile.id === id)) {
+            ProfileManager.save({ ...state, active: id });
+        }
+    }
+
+    /**
+     * Add a profile, it starts with empty settings and an empty day log
+     * @returns {{id: string, name: string}} The new profile
+     */
+    static create(name) {
+        const state = ProfileManager.load();
+        const profile = { id: `profile-${Date.now().toString(36)}`, name };
+        ProfileManager.save({ ...state, profiles: [...state.profiles, profile] });
+        return profile;
+    }
+
+    static rename(id, name) {
+        const state = ProfileManager.load();
+        const profiles = state.profiles.map(profile => profile.id === id ? { ...profile, name } : profile);
+        ProfileManager.save({ ...state, profiles });
+    }
+
+    /**
+     * Delete a profile with its settings, stamps and day log
+     * The default profile cannot be deleted; deleting the active profile switches to the default one.
+     * @returns {boolean} Whether the profile was deleted
+     */
+    static remove(id) {
+        const state = ProfileManager.load();
+        if (id === ProfileManager.defaultId || !state.profiles.some(profile => profile.id === id)) {
+            return false;
+        }
+        
+        ProfileManager.save({
+            active: state.active === id ? ProfileManager.defaultId : state.active,
+            profiles: state.profiles.filter(profile => profile.id !== id)
+        });
+        
+        try {
+            ProfileManager.profileKeys.forEach(key => localStorage.removeItem(ProfileManager.getStorageKey(key, id)));
+            indexedDB.deleteDatabase(ProfileManager.getStorageKey(ProfileManager.databaseName, id));
+        } catch (error) {
+            console.error('Failed to delete profile data:', error);
+        }
+        return true;
+    }
+}
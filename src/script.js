@@ -62,7 +62,7 @@ class TranslationManager {
                 "overtimeBalance": "Current Overtime Balance (hours)",
                 "overtimeHelp": "Enter your current overtime balance in decimal hours (e.g., 2.5 for 2h 30min)",
                 "forceBreak": "Apply break time for today",
-                "breakHint": "For working time under 6h, a break is not required by law",
+                "breakHint": "No break is required by your break rules for this working time",
                 "resultsTitle": "Calculation Results",
                 "workingHours": "Working Hours",
                 "of": "of",
@@ -84,14 +84,11 @@ class TranslationManager {
      */
     loadLanguageFromStorage() {
         try {
-            const savedConfig = localStorage.getItem('flexibleTimeCalculatorConfig');
-            if (savedConfig) {
-                const config = JSON.parse(savedConfig);
-                if (config.language) {
-                    this.setLanguage(config.language);
-                    console.log('Language loaded from storage:', config.language);
-                    return config.language;
-                }
+            const config = SettingsSchema.load();
+            if (config.language) {
+                this.setLanguage(config.language);
+                console.log('Language loaded from storage:', config.language);
+                return config.language;
             }
             return this.currentLanguage;
         } catch (error) {
@@ -136,12 +133,55 @@ class TranslationManager {
  * Handles configuration loading, saving, and validation
  */
 class ConfigManager {
-    constructor() {
+    constructor(serverStorage = null) {
+        this.serverStorage = serverStorage;
         this.defaultConfig = {
             targetHours: 8,
+            weeklySchedule: {
+                enabled: false,
+                hours: null // Zielstunden je Wochentag, Index wie Date.getDay() (0 = Sonntag)
+            },
+            coreTime: {
+                enabled: false,
+                days: null // Kernzeit je Wochentag als { start, end }, Index wie Date.getDay()
+            },
+            holidays: {
+                state: '', // Bundesland-Kürzel, leer = keine Feiertage
+                christmasEve: 1, // Anteil der Sollzeit am 24.12. (1 = voll, 0.5 = halber Tag, 0 = frei)
+                newYearsEve: 1 // Anteil der Sollzeit am 31.12.
+            },
             breakDuration: 30,
+            rounding: {
+                enabled: false,
+                unit: 15, // Rundungseinheit in Minuten
+                startDirection: 'up', // 'up', 'down', 'nearest' oder 'none'
+                endDirection: 'down',
+                graceMinutes: 0 // Toleranz: so viele Minuten nach (Kommen) bzw. vor (Gehen) einer Grenze zählen als Grenze
+            },
+            compliance: {
+                maxDailyHours: 10, // Höchstarbeitszeit pro Tag (ArbZG § 3)
+                maxWeeklyHours: 48, // Wochendurchschnitt über den Ausgleichszeitraum
+                averagingWeeks: 24, // Ausgleichszeitraum: 6 Monate
+                minRestHours: 11 // Ruhezeit zwischen zwei Arbeitstagen (ArbZG § 5)
+            },
+            breakRules: {
+                preset: 'arbzg', // 'arbzg', 'jarbschg' oder 'custom'
+                custom: BreakRuleEngine.presets.arbzg
+            },
             theme: 'system',
-            language: 'en' // Englisch als Standardsprache
+            language: 'en', // Englisch als Standardsprache
+            flexLimits: {
+                upper: null, // Obergrenze des Gleitzeitkontos in Stunden, null = keine Grenze
+                lower: null // Untergrenze des Gleitzeitkontos in Stunden, null = keine Grenze
+            },
+            plannerPins: {}, // Fest eingeplante Tage im Wochenplaner: { 'YYYY-MM-DD': { start, end } }
+            leaveGoal: {
+                mode: 'target', // 'target', 'zeroBalance', 'bank' oder 'fixedTime'
+                bankHours: 1, // Stunden, die heute angespart werden sollen
+                fixedTime: '' // Feste Gehzeit für die Saldo-Vorschau
+            },
+            openingBalance: 0, // Saldo vor dem ersten Eintrag im Tagesprotokoll
+            schemaVersion: SettingsSchema.version
         };
         this.config = { ...this.defaultConfig };
         this.loadConfig();
@@ -150,13 +190,11 @@ class ConfigManager {
 
     /**
      * Load configuration from localStorage
+     * Old or damaged settings are migrated and repaired by the shared SettingsSchema
      */
     loadConfig() {
         try {
-            const savedConfig = localStorage.getItem('flexibleTimeCalculatorConfig');
-            if (savedConfig) {
-                this.config = { ...this.defaultConfig, ...JSON.parse(savedConfig) };
-            }
+            this.config = SettingsSchema.withDefaults(this.defaultConfig, SettingsSchema.load());
         } catch (error) {
             console.warn('Failed to load configuration, using defaults:', error);
             this.config = { ...this.defaultConfig };
@@ -164,14 +202,18 @@ class ConfigManager {
     }
 
     /**
-     * Save configuration to localStorage
+     * Save configuration to localStorage, and to the local server if the app runs on it
+     * updatedAt lets the newer copy win when browser and server are synced
+     * @returns {Promise} Resolves when the server has the settings
      */
     saveConfig() {
+        this.config.updatedAt = new Date().toISOString();
         try {
-            localStorage.setItem('flexibleTimeCalculatorConfig', JSON.stringify(this.config));
+            localStorage.setItem(SettingsSchema.storageKey, JSON.stringify(this.config));
         } catch (error) {
             console.error('Failed to save configuration:', error);
         }
+        return this.serverStorage ? this.serverStorage.saveConfig(this.config) : Promise.resolve();
     }
 
     /**
@@ -189,11 +231,70 @@ class ConfigManager {
         this.saveConfig();
     }
 
+    /**
+     * Get the weekly schedule hours indexed like Date.getDay()
+     * Without a saved schedule, Monday to Friday use the daily target
+     */
+    getScheduleHours() {
+        return WorkdayCalculator.getScheduleHours(this.config);
+    }
+
+    /**
+     * Get the core time per weekday indexed like Date.getDay()
+     * Without a saved core time, Monday to Friday use 09:00–15:00
+     */
+    getCoreTimeDays() {
+        const coreTime = this.config.coreTime;
+        if (coreTime && Array.isArray(coreTime.days) && coreTime.days.length === 7) {
+            return coreTime.days.map(day => day ? { ...day } : null);
+        }
+        
+        const weekday = { start: '09:00', end: '15:00' };
+        return [null, { ...weekday }, { ...weekday }, { ...weekday }, { ...weekday }, { ...weekday }, null];
+    }
+
+    /**
+     * Get the core time for a date, or null if there is none
+     * Days without target (weekends, public holidays) have no core time
+     */
+    getCoreTimeForDate(date) {
+        if (!this.config.coreTime || !this.config.coreTime.enabled || this.getTargetHoursForDate(date) === 0) {
+            return null;
+        }
+        
+        const day = this.getCoreTimeDays()[date.getDay()];
+        return day && day.start && day.end ? day : null;
+    }
+
+    /**
+     * Get the target working hours for a date
+     * Uses the weekly schedule if enabled, otherwise the same target every day.
+     * Public holidays have no target, Dec 24/31 can be reduced.
+     */
+    getTargetHoursForDate(date) {
+        return WorkdayCalculator.getTargetHoursForDate(this.config, date);
+    }
+
+    /**
+     * Get the upper and lower limit of the flex account in hours, null for no limit
+     */
+    getFlexLimits() {
+        return WorkdayCalculator.getFlexLimits(this.config);
+    }
+
+    /**
+     * Share of the target that applies on Dec 24 and Dec 31
+     */
+    getHalfDayFactor(date) {
+        return WorkdayCalculator.getHalfDayFactor(this.config, date);
+    }
+
     /**
      * Reset configuration to defaults
      */
     resetConfig() {
-        this.config = { ...this.defaultConfig };
+        // The opening balance is data, not a preference, so it survives a reset
+        this.config = { ...this.defaultConfig, openingBalance: this.config.openingBalance };
         this.saveConfig();
     }
 }
@@ -201,9 +302,11 @@ class ConfigManager {
 /**
  * Theme Manager
  * Handles theme switching and persistence
+ * The theme is part of the configuration, so the countdown page sees the same one
  */
 class ThemeManager {
-    constructor() {
+    constructor(configManager) {
+        this.configManager = configManager;
         this.currentTheme = 'system';
         this.loadTheme();
         this.applyTheme();
@@ -211,28 +314,20 @@ class ThemeManager {
     }
 
     /**
-     * Load theme from localStorage
+     * Load theme from the configuration
      */
     loadTheme() {
-        try {
-            const savedTheme = localStorage.getItem('theme');
-            if (savedTheme && ['system', 'light', 'dark'].includes(savedTheme)) {
-                this.currentTheme = savedTheme;
-            }
-        } catch (error) {
-            console.warn('Failed to load theme, using default:', error);
+        const savedTheme = this.configManager.getConfig().theme;
+        if (['system', 'light', 'dark'].includes(savedTheme)) {
+            this.currentTheme = savedTheme;
         }
     }
 
     /**
-     * Save theme to localStorage
+     * Save theme to the configuration
      */
     saveTheme() {
-        try {
-            localStorage.setItem('theme', this.currentTheme);
-        } catch (error) {
-            console.error('Failed to save theme:', error);
-        }
+        this.configManager.updateConfig({ theme: this.currentTheme });
     }
 
     /**
@@ -273,9 +368,6 @@ class ThemeManager {
             root.classList.add(`theme-${this.currentTheme}`);
         }
         
-        // Update localStorage
-        localStorage.setItem('theme', this.currentTheme);
-        
         console.log(`Theme applied: ${this.currentTheme}`);
     }
 
@@ -300,148 +392,2846 @@ class ThemeManager {
 }
 
 /**
- * Flexible Time Calculator
- * Main application class
+ * Day Log Manager
+ * Persists finished working days in IndexedDB and derives the carried-over balance
  */
-class FlexibleTimeCalculator {
-    constructor() {
-        // Initialize managers
-        this.configManager = new ConfigManager();
-        this.themeManager = new ThemeManager();
-        this.translationManager = new TranslationManager();
-        
-        // Get DOM elements (wichtig für spätere UI-Updates)
-        this.initializeElements();
-        
-        // Bind events
-        this.bindEvents();
-        
-        // Initialisiere die Anwendung in der richtigen Reihenfolge
-        // Alle weiteren Initialisierungen erfolgen in der initializeApp-Methode
-        this.initializeApp();
+class DayLogManager {
+    constructor(serverStorage = null) {
+        this.dbName = ProfileManager.getStorageKey(ProfileManager.databaseName);
+        this.storeName = 'days';
+        this.db = null;
+        this.serverStorage = serverStorage;
+
+        // In-memory cache keyed by date (YYYY-MM-DD), so calculations can stay synchronous
+        this.entries = {};
     }
 
     /**
-     * Initialize DOM elements
+     * Open the database and load all entries into the cache
      */
-    initializeElements() {
-        // Form elements
-        this.startTimeInput = document.getElementById('start-time');
-        this.endTimeInput = document.getElementById('end-time');
-        this.overtimeBalanceInput = document.getElementById('overtime-balance');
-        this.forceBreakCheckbox = document.getElementById('force-break');
-        this.breakOptionContainer = document.getElementById('break-option-container');
-        
-        // Result elements
-        this.workingHoursDisplay = document.getElementById('working-hours');
-        this.targetDisplay = document.getElementById('target-display');
-        this.timeBalanceDisplay = document.getElementById('time-balance');
-        this.totalOvertimeDisplay = document.getElementById('total-overtime');
-        this.suggestedEndTimeDisplay = document.getElementById('suggested-end-time');
+    async init() {
+        if (!window.indexedDB) {
+            console.warn('IndexedDB not available, day log is disabled');
+            return;
+        }
+
+        try {
+            this.db = await this.openDatabase();
+            const entries = await this.readAllEntries();
+            entries.forEach(entry => {
+                this.entries[entry.date] = entry;
+            });
+            console.log(`Day log loaded with ${entries.length} entries`);
+        } catch (error) {
+            console.warn('Failed to open day log, history is disabled:', error);
+            this.db = null;
+        }
         
-        // Modal elements
-        this.configBtn = document.getElementById('config-btn');
-        this.configModal = document.getElementById('config-modal');
-        this.modalClose = document.getElementById('modal-close');
-        this.modalOverlay = document.querySelector('.modal-overlay');
-        this.configForm = document.getElementById('config-form');
-        this.configReset = document.getElementById('config-reset');
+        if (this.serverStorage && this.serverStorage.available) {
+            await this.syncWithServer();
+        }
+    }
+
+    /**
+     * Merge the day log with the one on the local server, the copy in IndexedDB is kept for when the server is not running
+     * The server's entry wins for a date both have; days logged here while the server was down are uploaded,
+     * days deleted on another device since they were saved here are removed.
+     */
+    async syncWithServer() {
+        const loaded = await this.serverStorage.loadDays();
+        if (!Array.isArray(loaded)) {
+            return;
+        }
+        // Older servers don't record deletions
+        const deleted = await this.serverStorage.loadDeletedDays() || {};
         
-        // Configuration inputs
-        this.targetHoursInputs = document.querySelectorAll('input[name="targetHours"]');
-        this.breakDurationInputs = document.querySelectorAll('input[name="breakDuration"]');
-        this.customHoursInput = document.getElementById('config-custom-hours');
-        this.customBreakInput = document.getElementById('config-custom-break');
+        // Days with broken times (e.g. from an older server that didn't check them) are left out
+        const serverEntries = loaded.filter(entry => BackupManager.isValidDay(entry));
+        if (serverEntries.length < loaded.length) {
+            console.warn(`Skipped ${loaded.length - serverEntries.length} invalid day log entries from the local server`);
+        }
         
-        // Theme inputs
-        this.themeHiddenInput = document.getElementById('theme-hidden');
-        this.themeSegmentBtns = document.querySelectorAll('.theme-segmented .segment-btn');
+        const { days, upload, removed } = ServerStorage.mergeDays(Object.values(this.entries), serverEntries, deleted);
+        if (serverEntries.length === 0 && upload.length > 0) {
+            await this.serverStorage.replaceDays(upload);
+        } else {
+            await Promise.all(upload.map(entry => this.serverStorage.saveDay(entry)));
+        }
         
-        // Language inputs
-        this.languageHiddenInput = document.getElementById('language-hidden');
-        this.languageSegmentBtns = document.querySelectorAll('.language-segmented .segment-btn');
+        this.entries = {};
+        days.forEach(entry => {
+            this.entries[entry.date] = entry;
+        });
+        await this.writeEntry(store => {
+            removed.forEach(date => store.delete(date));
+            days.forEach(entry => store.put(entry));
+        });
+        console.log(`Day log synced with the local server: ${serverEntries.length} entries from the server, ${upload.length} uploaded, ${removed.length} deleted elsewhere`);
     }
 
     /**
-     * Bind event listeners
+     * Open (and create if necessary) the IndexedDB database
      */
-    bindEvents() {
-        // Real-time calculation when inputs change
-        this.startTimeInput.addEventListener('input', () => {
-            // Prüfe, ob der Arbeitsbeginn nach der aktuellen Zeit liegt
-            // und das Endzeit-Feld nicht manuell editiert wurde
-            if (this.endTimeInput.getAttribute('data-manual-input') !== 'true') {
-                this.setCurrentTimeAsEndTime();
-            }
-            this.handleInputChange();
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'date' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
         });
-        this.endTimeInput.addEventListener('input', () => {
-            // Mark end time as manually edited
-            this.endTimeInput.setAttribute('data-manual-input', 'true');
-            this.handleInputChange();
+    }
+
+    /**
+     * Read all entries from the object store
+     */
+    readAllEntries() {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(this.storeName, 'readonly')
+                .objectStore(this.storeName)
+                .getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a write operation on the object store
+     */
+    writeEntry(operation) {
+        if (!this.db) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, 'readwrite');
+            operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        }).catch(error => {
+            console.error('Failed to write day log:', error);
         });
-        this.overtimeBalanceInput.addEventListener('input', () => this.handleInputChange());
+    }
+
+    /**
+     * Save or replace the entry for a day
+     * The returned promise also waits for the local server, so a reload cannot abort the request
+     */
+    saveDay(entry) {
+        // Compared with the deletions on the server when syncing
+        const saved = { ...entry, updatedAt: new Date().toISOString() };
+        this.entries[entry.date] = saved;
+        return Promise.all([
+            this.serverStorage ? this.serverStorage.saveDay(saved) : null,
+            this.writeEntry(store => store.put(saved))
+        ]);
+    }
+
+    /**
+     * Delete the entry for a day
+     */
+    deleteDay(date) {
+        delete this.entries[date];
+        return Promise.all([
+            this.serverStorage ? this.serverStorage.deleteDay(date) : null,
+            this.writeEntry(store => store.delete(date))
+        ]);
+    }
+
+    /**
+     * Remove all days
+     */
+    clear() {
+        this.entries = {};
+        return Promise.all([
+            this.serverStorage ? this.serverStorage.replaceDays([]) : null,
+            this.writeEntry(store => store.clear())
+        ]);
+    }
+
+    /**
+     * Get the entry for a day
+     */
+    getDay(date) {
+        return this.entries[date] ? { ...this.entries[date] } : null;
+    }
+
+    /**
+     * Get all entries, newest first
+     */
+    getEntries() {
+        return Object.values(this.entries)
+            .sort((a, b) => b.date.localeCompare(a.date))
+            .map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Sum of all logged day balances before the given date
+     */
+    getBalanceBefore(date) {
+        return Object.values(this.entries)
+            .filter(entry => entry.date < date)
+            .reduce((sum, entry) => sum + (entry.todayBalance || 0), 0);
+    }
+
+    /**
+     * Most common value of a time field (e.g. 'startTime') over the recent working days
+     * Returns the median so that single outliers don't count
+     */
+    getTypicalTime(field, days = 20) {
+        const times = this.getEntries()
+            .filter(entry => !DayLogManager.isAbsence(entry) && entry[field])
+            .slice(0, days)
+            .map(entry => entry[field])
+            .sort();
+        return times.length > 0 ? times[Math.floor((times.length - 1) / 2)] : null;
+    }
+
+    /**
+     * Absence day types
+     * Credited absences count as target hours worked, a Gleittag is taken from the flex balance
+     */
+    static get absenceTypes() {
+        return {
+            vacation: { credited: true, labelKey: 'vacation' },
+            sick: { credited: true, labelKey: 'sickLeave' },
+            flexDay: { credited: false, labelKey: 'flexDay' }
+        };
+    }
+
+    /**
+     * Whether an entry marks an absence instead of a working day
+     */
+    static isAbsence(entry) {
+        return !!(entry && DayLogManager.absenceTypes[entry.type]);
+    }
+
+    /**
+     * Create an entry for an absence day with the given target hours
+     */
+    static createAbsenceEntry(date, type, targetHours) {
+        const credited = DayLogManager.absenceTypes[type].credited;
+        return {
+            date,
+            type,
+            startTime: '',
+            endTime: '',
+            breakMinutes: 0,
+            workingHours: credited ? targetHours : 0,
+            targetHours,
+            todayBalance: credited ? 0 : -targetHours
+        };
+    }
+
+    /**
+     * Format a date as local YYYY-MM-DD key
+     */
+    static getDateKey(date) {
+        return WorkdayCalculator.getDateKey(date);
+    }
+
+    /**
+     * Create a local date from a date key (YYYY-MM-DD) and an optional time (HH:MM)
+     * Local wall-clock dates keep durations correct on days with 23 or 25 hours (DST change)
+     */
+    static toDate(dateKey, time = '00:00') {
+        return WorkdayCalculator.toDate(dateKey, time);
+    }
+
+    /**
+     * Whether a logged day ends on the next day (night shift)
+     * Days logged before shifts were marked explicitly fall back to an end before the start
+     */
+    static isOvernight(entry) {
+        if (!entry || !entry.startTime || !entry.endTime) {
+            return false;
+        }
+        return entry.overnight !== undefined ? entry.overnight === true : entry.endTime < entry.startTime;
+    }
+}
+
+/**
+ * Service Worker Manager
+ * Registers the service worker that makes the app work offline and reports when a new version is ready
+ */
+class ServiceWorkerManager {
+    constructor(onUpdateReady) {
+        this.onUpdateReady = onUpdateReady;
+        this.registration = null;
+        this.updateAccepted = false;
+    }
+
+    /**
+     * How often an open page looks for a new version, the app often stays open all day
+     */
+    static get updateInterval() {
+        return 60 * 60 * 1000;
+    }
+
+    static isSupported() {
+        return 'serviceWorker' in navigator && window.location.protocol.startsWith('http');
+    }
+
+    async register(url = 'service-worker.js') {
+        if (!ServiceWorkerManager.isSupported()) {
+            return;
+        }
         
-        // Break checkbox handling
-        if (this.forceBreakCheckbox) {
-            this.forceBreakCheckbox.addEventListener('change', () => this.handleInputChange());
+        try {
+            this.registration = await navigator.serviceWorker.register(url);
+        } catch (error) {
+            console.warn('Service worker registration failed, the app needs the network:', error);
+            return;
         }
         
-        // Configuration modal events
-        this.configBtn.addEventListener('click', () => this.openConfigModal());
-        this.modalClose.addEventListener('click', () => this.closeConfigModal());
-        this.modalOverlay.addEventListener('click', () => this.closeConfigModal());
-        this.configReset.addEventListener('click', () => this.resetConfiguration());
+        // Ohne steuernden Worker ist es die erste Installation und kein Update
+        if (this.registration.waiting && navigator.serviceWorker.controller) {
+            this.onUpdateReady();
+        }
+        this.registration.addEventListener('updatefound', () => {
+            const worker = this.registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.onUpdateReady();
+                }
+            });
+        });
         
-        // Real-time configuration changes
-        this.configForm.addEventListener('change', (e) => {
-            if (e.target.type === 'radio') {
-                // Auto-save when radio buttons change (without closing modal)
-                this.saveCurrentConfig();
+        // Reload once the new version has taken over
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updateAccepted) {
+                this.updateAccepted = false;
+                window.location.reload();
             }
         });
         
-        // Custom input handling
-        this.customHoursInput.addEventListener('input', () => this.handleCustomHoursInput());
-        this.customBreakInput.addEventListener('input', () => this.handleCustomBreakInput());
+        setInterval(() => this.registration.update().catch(() => {}), ServiceWorkerManager.updateInterval);
+    }
+
+    /**
+     * Let the waiting new version take over, the page reloads when it has
+     */
+    applyUpdate() {
+        if (this.registration && this.registration.waiting) {
+            this.updateAccepted = true;
+            this.registration.waiting.postMessage({ type: 'skipWaiting' });
+        }
+    }
+}
+
+/**
+ * Stamp Manager
+ * Keeps the clock-in, clock-out and pause stamps of the current working day across reloads
+ */
+class StampManager {
+    constructor() {
+        this.storageKey = ProfileManager.getStorageKey('stampState');
+        // openDay: date of an earlier day that was never clocked out, until its end is corrected
+        this.state = { date: null, stamps: [], openDay: null };
+        this.loadState();
+    }
+
+    /**
+     * Load the stamp state from localStorage
+     */
+    loadState() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const state = JSON.parse(saved);
+                if (state && Array.isArray(state.stamps)) {
+                    this.state = { date: state.date || null, stamps: state.stamps, openDay: state.openDay || null };
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to load stamp state:', error);
+        }
+    }
+
+    /**
+     * Save the stamp state to localStorage
+     */
+    saveState() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (error) {
+            console.error('Failed to save stamp state:', error);
+        }
+    }
+
+    /**
+     * Get the current status: 'out', 'in' or 'break'
+     */
+    getStatus() {
+        const last = this.getLastStamp();
+        if (!last || last.type === 'out') {
+            return 'out';
+        }
+        return last.type === 'pause' ? 'break' : 'in';
+    }
+
+    /**
+     * Get the most recent stamp or null
+     */
+    getLastStamp() {
+        const stamps = this.state.stamps;
+        return stamps.length > 0 ? stamps[stamps.length - 1] : null;
+    }
+
+    /**
+     * Record a stamp ('in', 'out', 'pause' or 'resume') with its exact timestamp
+     * Clocking in on a new day starts a fresh list of stamps
+     */
+    stamp(type, time = new Date()) {
+        const date = DayLogManager.getDateKey(time);
+        if (type === 'in' && this.getStatus() === 'out' && this.state.date !== date) {
+            this.state = { date, stamps: [], openDay: this.state.openDay };
+        }
+        
+        this.state.stamps.push({ type, time: time.toISOString() });
+        this.saveState();
+    }
+
+    /**
+     * Whether a shift stamped in on an earlier day is still running at the given time
+     * Only yesterday's shift counts, and only while it is shorter than the given hours
+     */
+    isRunningShift(now, maxHours) {
+        const firstStamp = this.state.stamps[0];
+        if (this.getStatus() === 'out' || !firstStamp || this.state.date === DayLogManager.getDateKey(now)) {
+            return false;
+        }
+        
+        const yesterday = new Date(now);
+        yesterday.setDate(yesterday.getDate() - 1);
+        return this.state.date === DayLogManager.getDateKey(yesterday) &&
+            now - new Date(firstStamp.time) < maxHours * 60 * 60 * 1000;
+    }
+
+    /**
+     * Drop the stamps of an earlier day
+     * If that day was still clocked in, it is kept as open day until its end time is corrected
+     */
+    closeStaleDay(today) {
+        if (!this.state.date || this.state.date === today) {
+            return;
+        }
+        
+        const openDay = this.getStatus() !== 'out' ? this.state.date : this.state.openDay;
+        this.state = { date: null, stamps: [], openDay };
+        this.saveState();
+    }
+
+    /**
+     * Keep an earlier day as open day until its end time is corrected, e.g. when its end only followed the clock
+     */
+    setOpenDay(date) {
+        this.state.openDay = date;
+        this.saveState();
+    }
+
+    /**
+     * Forget the open day once its end time is corrected
+     */
+    resolveOpenDay() {
+        this.state.openDay = null;
+        this.saveState();
+    }
+}
+
+/**
+ * Timesheet CSV
+ * Writes day log entries as CSV and reads timesheets exported by other time clocks
+ */
+class TimesheetCsv {
+    /**
+     * Columns of an exported timesheet
+     * On import only date, start, end, breaks and type are read, the rest is recalculated
+     */
+    static get fields() {
+        return ['date', 'start', 'end', 'breaks', 'worked', 'target', 'balance', 'type'];
+    }
+
+    static get importFields() {
+        return ['date', 'start', 'end', 'breaks', 'type'];
+    }
+
+    /**
+     * Translation keys of the column titles
+     */
+    static get headerKeys() {
+        return {
+            date: 'csvDate',
+            start: 'csvStart',
+            end: 'csvEnd',
+            breaks: 'csvBreaks',
+            worked: 'csvWorked',
+            target: 'csvTarget',
+            balance: 'csvBalance',
+            type: 'csvType'
+        };
+    }
+
+    /**
+     * Column names of other time clocks that map to a field, besides the translated headers
+     */
+    static get aliases() {
+        return {
+            date: ['date', 'datum', 'tag', 'day'],
+            start: ['start', 'beginn', 'kommen', 'from', 'von', 'in'],
+            end: ['end', 'ende', 'gehen', 'to', 'bis', 'out'],
+            breaks: ['break', 'breaks', 'pause', 'pausen'],
+            type: ['type', 'art', 'tagesart', 'day type']
+        };
+    }
+
+    /**
+     * Create the CSV text for the given entries
+     * @param {Array} entries - Day log entries
+     * @param {Function} getHeader - Column title for a field
+     * @param {Function} getTypeLabel - Label for a day type
+     */
+    static toCsv(entries, getHeader, getTypeLabel) {
+        const rows = [TimesheetCsv.fields.map(field => getHeader(field))];
+        entries.forEach(entry => {
+            const isAbsence = DayLogManager.isAbsence(entry);
+            rows.push([
+                entry.date,
+                entry.startTime || '',
+                entry.endTime || '',
+                isAbsence ? '' : TimesheetCsv.formatDuration((entry.breakMinutes || 0) / 60),
+                TimesheetCsv.formatDuration(entry.workingHours),
+                TimesheetCsv.formatDuration(entry.targetHours),
+                TimesheetCsv.formatDuration(entry.todayBalance),
+                getTypeLabel(entry.type)
+            ]);
+        });
+        
+        // Semicolons, as spreadsheets with German settings expect them
+        return rows.map(row => row.map(value => TimesheetCsv.quote(value)).join(';')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a value if it contains a separator, quote or line break
+     */
+    static quote(value) {
+        const text = String(value);
+        return /[";,\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Format hours as H:MM with sign, e.g. 7:30 or -0:15
+     */
+    static formatDuration(hours) {
+        const totalMinutes = Math.round(Math.abs(hours || 0) * 60);
+        const sign = hours < 0 && totalMinutes > 0 ? '-' : '';
+        return `${sign}${Math.floor(totalMinutes / 60)}:${(totalMinutes % 60).toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Split CSV text into rows of cells
+     * The separator (semicolon, comma or tab) is taken from the header line
+     */
+    static parse(text) {
+        const content = text.replace(/^\uFEFF/, '');
+        const firstLine = content.split(/\r?\n/, 1)[0];
+        const separator = [';', ',', '\t']
+            .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+            .sort((a, b) => b.count - a.count)[0].candidate;
+        
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            if (quoted) {
+                if (char === '"' && content[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === separator) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        
+        // Skip empty lines
+        return rows.filter(cells => cells.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Guess which column holds which field from the header line
+     * @param {Array} header - Header cells
+     * @param {Function} getHeaders - Translated column titles of a field
+     * @returns {Object} Column index per field, missing fields are left out
+     */
+    static guessMapping(header, getHeaders) {
+        const normalized = header.map(cell => cell.trim().toLowerCase());
+        const mapping = {};
+        TimesheetCsv.importFields.forEach(field => {
+            const names = [...getHeaders(field), ...TimesheetCsv.aliases[field]].map(name => name.toLowerCase());
+            const index = normalized.findIndex((cell, i) => names.includes(cell) && !Object.values(mapping).includes(i));
+            if (index !== -1) {
+                mapping[field] = index;
+            }
+        });
+        return mapping;
+    }
+
+    /**
+     * Read a date as YYYY-MM-DD, DD.MM.YYYY or DD.MM.YY into a date key, or null
+     */
+    static parseDate(text) {
+        let match = text.trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        let year, month, day;
+        if (match) {
+            [, year, month, day] = match.map(Number);
+        } else {
+            match = text.trim().match(/^(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})$/);
+            if (!match) {
+                return null;
+            }
+            [, day, month, year] = match.map(Number);
+            if (year < 100) {
+                year += 2000;
+            }
+        }
+        
+        const date = new Date(year, month - 1, day);
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            return null;
+        }
+        return DayLogManager.getDateKey(date);
+    }
+
+    /**
+     * Read a time as H:MM or HH:MM(:SS) into HH:MM, or null
+     */
+    static parseTime(text) {
+        const match = text.trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?$/);
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+            return null;
+        }
+        return `${match[1].padStart(2, '0')}:${match[2]}`;
+    }
+
+    /**
+     * Read the breaks of a day
+     * Either intervals like "12:00-12:30, 15:00-15:10" or a duration in H:MM or minutes
+     * @returns {Array|number|null} Break intervals, break minutes, or null if unreadable
+     */
+    static parseBreaks(text) {
+        const value = text.trim();
+        if (value === '') {
+            return [];
+        }
+        
+        if (/\d\s*[-–]\s*\d/.test(value)) {
+            const intervals = value.split(/[,|/]/).map(part => {
+                const [start, end] = part.split(/[-–]/).map(time => TimesheetCsv.parseTime(time || ''));
+                return start && end ? { start, end } : null;
+            });
+            return intervals.includes(null) ? null : intervals;
+        }
+        
+        const duration = value.match(/^(\d{1,2}):(\d{2})$/);
+        if (duration) {
+            return Number(duration[1]) * 60 + Number(duration[2]);
+        }
+        return /^\d+$/.test(value) ? Number(value) : null;
+    }
+}
+
+/**
+ * Backup Manager
+ * Puts all app data (settings, theme, countdown settings and day log) into one versioned file and restores it
+ */
+class BackupManager {
+    constructor(configManager, themeManager, dayLogManager) {
+        this.configManager = configManager;
+        this.themeManager = themeManager;
+        this.dayLogManager = dayLogManager;
+    }
+
+    /**
+     * Version of the backup format, raised whenever its shape changes
+     */
+    static get version() {
+        return 1;
+    }
+
+    /**
+     * Collect all app data
+     */
+    createBackup() {
+        return {
+            app: 'feierabend',
+            version: BackupManager.version,
+            exportedAt: new Date().toISOString(),
+            data: {
+                config: this.configManager.getConfig(),
+                theme: this.themeManager.currentTheme,
+                countdownSettings: this.loadCountdownSettings(),
+                days: this.dayLogManager.getEntries().reverse()
+            }
+        };
+    }
+
+    /**
+     * Read the countdown settings, which the countdown page keeps in localStorage
+     */
+    loadCountdownSettings() {
+        try {
+            return JSON.parse(localStorage.getItem(ProfileManager.getStorageKey('countdownSettings'))) || null;
+        } catch (error) {
+            console.warn('Failed to load countdown settings for the backup:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Check a parsed backup file
+     * @returns {string|null} Translation key of the first problem, or null if the file is valid
+     */
+    static validate(backup) {
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        if (!isObject(backup) || backup.app !== 'feierabend' || !isObject(backup.data)) {
+            return 'backupNotABackup';
+        }
+        if (!Number.isInteger(backup.version) || backup.version < 1 || backup.version > BackupManager.version) {
+            return 'backupUnsupportedVersion';
+        }
+        
+        const { config, theme, countdownSettings, days } = backup.data;
+        if (config !== undefined && !isObject(config)) {
+            return 'backupInvalidConfig';
+        }
+        if (theme !== undefined && !['system', 'light', 'dark'].includes(theme)) {
+            return 'backupInvalidConfig';
+        }
+        if (countdownSettings !== undefined && countdownSettings !== null && !isObject(countdownSettings)) {
+            return 'backupInvalidConfig';
+        }
+        if (days !== undefined && (!Array.isArray(days) || !days.every(day => isObject(day) && BackupManager.isValidDay(day)))) {
+            return 'backupInvalidDays';
+        }
+        
+        return null;
+    }
+
+    /**
+     * Whether a day from a backup or the server has the shape of a day log entry
+     * Times and intervals are checked too, they end up in the day log and the form.
+     */
+    static isValidDay(day) {
+        const types = ['work', ...Object.keys(DayLogManager.absenceTypes)];
+        const isTime = value => value === undefined || value === '' || SettingsSchema.time(value) !== undefined;
+        const isIntervals = value => value === undefined || SettingsSchema.intervals(value) !== undefined;
+        return SettingsSchema.isObject(day) &&
+            SettingsSchema.date(day.date) !== undefined &&
+            types.includes(day.type || 'work') &&
+            ['workingHours', 'targetHours', 'todayBalance'].every(field => typeof day[field] === 'number' && isFinite(day[field])) &&
+            isTime(day.startTime) && isTime(day.endTime) &&
+            isIntervals(day.segments) && isIntervals(day.breaks);
+    }
+
+    /**
+     * Restore a validated backup
+     * Replace: settings and day log are taken from the file. Merge: only days missing here are added, settings here are kept.
+     * @returns {Promise<number>} Number of restored days
+     */
+    async restore(backup, mode) {
+        const { config, theme, countdownSettings, days = [] } = backup.data;
+        
+        if (mode === 'replace') {
+            // Backups of older versions go through the same migrations as the stored settings
+            const migrated = SettingsSchema.migrate(config || {}, { theme });
+            this.configManager.config = SettingsSchema.withDefaults(this.configManager.defaultConfig, migrated);
+            await this.configManager.saveConfig();
+            this.themeManager.setTheme(theme || this.configManager.getConfig().theme);
+            
+            try {
+                if (countdownSettings) {
+                    localStorage.setItem(ProfileManager.getStorageKey('countdownSettings'), JSON.stringify(countdownSettings));
+                } else {
+                    localStorage.removeItem(ProfileManager.getStorageKey('countdownSettings'));
+                }
+            } catch (error) {
+                console.error('Failed to restore countdown settings:', error);
+            }
+            
+            await this.dayLogManager.clear();
+        }
+        
+        const restoredDays = mode === 'replace' ? days : days.filter(day => !this.dayLogManager.getDay(day.date));
+        await Promise.all(restoredDays.map(day => this.dayLogManager.saveDay(day)));
+        return restoredDays.length;
+    }
+}
+
+/**
+ * Compliance Checker
+ * Checks working time against the daily and weekly maximum and the rest period
+ */
+class ComplianceChecker {
+    constructor(limits = {}) {
+        this.maxDailyHours = Number(limits.maxDailyHours) || 10;
+        this.maxWeeklyHours = Number(limits.maxWeeklyHours) || 48;
+        this.averagingWeeks = Number(limits.averagingWeeks) || 24;
+        this.minRestHours = Number(limits.minRestHours) || 11;
+    }
+
+    /**
+     * Create a checker for the limits in the configuration
+     */
+    static fromConfig(config) {
+        return new ComplianceChecker(config.compliance);
+    }
+
+    /**
+     * Check a working day against all limits
+     * @param {Object} day - { date, start, workingHours } of the day being checked
+     * @param {Array} entries - Day log entries
+     * @returns {Array} Warnings as { type, value, limit } in hours
+     */
+    check(day, entries) {
+        const warnings = [];
+        
+        if (day.workingHours > this.maxDailyHours) {
+            warnings.push({ type: 'dailyLimit', value: day.workingHours, limit: this.maxDailyHours });
+        }
+        
+        const weeklyAverage = this.getWeeklyAverage(day, entries);
+        if (weeklyAverage > this.maxWeeklyHours) {
+            warnings.push({ type: 'weeklyAverage', value: weeklyAverage, limit: this.maxWeeklyHours });
+        }
+        
+        const restHours = this.getRestHours(day, entries);
+        if (restHours !== null && restHours < this.minRestHours) {
+            warnings.push({ type: 'restPeriod', value: restHours, limit: this.minRestHours });
+        }
+        
+        return warnings;
+    }
+
+    /**
+     * Average weekly working time over the averaging period up to the given day
+     * Only weeks with logged days count, absences are not working time.
+     */
+    getWeeklyAverage(day, entries) {
+        const dateKey = DayLogManager.getDateKey(day.date);
+        const periodStart = new Date(day.date);
+        periodStart.setDate(periodStart.getDate() - this.averagingWeeks * 7 + 1);
+        const periodStartKey = DayLogManager.getDateKey(periodStart);
+        
+        let firstKey = dateKey;
+        let totalHours = day.workingHours;
+        entries.forEach(entry => {
+            if (entry.date < periodStartKey || entry.date >= dateKey || DayLogManager.isAbsence(entry)) {
+                return;
+            }
+            totalHours += (entry.rawWorkingHours !== undefined ? entry.rawWorkingHours : entry.workingHours) || 0;
+            if (entry.date < firstKey) {
+                firstKey = entry.date;
+            }
+        });
+        
+        const [year, month, date] = firstKey.split('-').map(Number);
+        const today = new Date(day.date.getFullYear(), day.date.getMonth(), day.date.getDate());
+        const days = Math.round((today - new Date(year, month - 1, date)) / (1000 * 60 * 60 * 24)) + 1;
+        return totalHours / Math.max(1, Math.ceil(days / 7));
+    }
+
+    /**
+     * Hours between the end of the previous day's work and the given start
+     * Returns null if the previous day was not worked
+     */
+    getRestHours(day, entries) {
+        if (!day.start) {
+            return null;
+        }
+        
+        const previousDate = new Date(day.date);
+        previousDate.setDate(previousDate.getDate() - 1);
+        const previousKey = DayLogManager.getDateKey(previousDate);
+        const previous = entries.find(entry => entry.date === previousKey);
+        const previousEnd = ComplianceChecker.getEntryEnd(previous);
+        
+        return previousEnd ? (day.start - previousEnd) / (1000 * 60 * 60) : null;
+    }
+
+    /**
+     * End of the last work interval of a day log entry
+     * Intervals follow each other, so an end before its start moves to the next day
+     */
+    static getEntryEnd(entry) {
+        if (!entry || DayLogManager.isAbsence(entry) || !entry.startTime || !entry.endTime) {
+            return null;
+        }
+        
+        const [year, month, date] = entry.date.split('-').map(Number);
+        const toDate = (time, notBefore) => {
+            const [hours, minutes] = time.split(':').map(Number);
+            const result = new Date(year, month - 1, date, hours, minutes);
+            while (result < notBefore) {
+                result.setDate(result.getDate() + 1);
+            }
+            return result;
+        };
+        
+        let end = null;
+        let cursor = new Date(year, month - 1, date);
+        const intervals = [{ start: entry.startTime, end: entry.endTime }, ...(entry.segments || [])];
+        intervals.forEach(interval => {
+            if (!interval.start || !interval.end) {
+                return;
+            }
+            const start = toDate(interval.start, cursor);
+            end = toDate(interval.end, new Date(start.getTime() + 60 * 1000));
+            cursor = end;
+        });
+        
+        return end;
+    }
+}
+
+/**
+ * Week Planner
+ * Spreads the hours still missing this week over the remaining days
+ */
+class WeekPlanner {
+    constructor(configManager, dayLogManager) {
+        this.configManager = configManager;
+        this.dayLogManager = dayLogManager;
+    }
+
+    /**
+     * Monday of the week of the given date
+     */
+    static getWeekStart(date) {
+        const weekStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        weekStart.setDate(weekStart.getDate() - (weekStart.getDay() + 6) % 7);
+        return weekStart;
+    }
+
+    /**
+     * Target of a day in the week plan
+     * Without a weekly schedule, the daily target applies Monday to Friday
+     */
+    getTargetHours(date) {
+        const schedule = this.configManager.getConfig().weeklySchedule;
+        if (!(schedule && schedule.enabled) && (date.getDay() === 0 || date.getDay() === 6)) {
+            return 0;
+        }
+        return this.configManager.getTargetHoursForDate(date);
+    }
+
+    /**
+     * Convert HH:MM to minutes since midnight
+     */
+    static toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Convert minutes since midnight to HH:MM
+     */
+    static toTime(minutes) {
+        const dayMinutes = ((Math.round(minutes) % (24 * 60)) + 24 * 60) % (24 * 60);
+        return `${String(Math.floor(dayMinutes / 60)).padStart(2, '0')}:${String(dayMinutes % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Plan the rest of the week
+     * Days before today and absence days count with their logged hours. Pinned days keep their times,
+     * the remaining hours are spread over the other days by their target, within core time and the daily maximum.
+     * @param {Date} today - The day planning starts with
+     * @param {Object} options - { pins, todayStart, defaultStart, getBreakForWork, getBreakForPresence }
+     */
+    plan(today, options) {
+        const config = this.configManager.getConfig();
+        const maxDailyMinutes = ComplianceChecker.fromConfig(config).maxDailyHours * 60;
+        const todayKey = DayLogManager.getDateKey(today);
+        const weekStart = WeekPlanner.getWeekStart(today);
+        
+        let weekTarget = 0;
+        let doneHours = 0;
+        const days = [];
+        
+        for (let i = 0; i < 7; i++) {
+            const date = new Date(weekStart);
+            date.setDate(date.getDate() + i);
+            const key = DayLogManager.getDateKey(date);
+            const targetHours = this.getTargetHours(date);
+            const entry = this.dayLogManager.getDay(key);
+            const pin = options.pins[key];
+            weekTarget += targetHours;
+            
+            if (key < todayKey || DayLogManager.isAbsence(entry)) {
+                doneHours += entry ? entry.workingHours || 0 : 0;
+                continue;
+            }
+            
+            // Days off are only planned when pinned
+            if (!pin && targetHours === 0) {
+                continue;
+            }
+            
+            const day = { date: key, targetHours, pinned: !!pin };
+            if (pin) {
+                day.start = pin.start;
+                day.end = pin.end;
+                let presenceMinutes = WeekPlanner.toMinutes(pin.end) - WeekPlanner.toMinutes(pin.start);
+                if (presenceMinutes <= 0) {
+                    presenceMinutes += 24 * 60;
+                }
+                day.workMinutes = presenceMinutes - options.getBreakForPresence(presenceMinutes);
+            } else {
+                // Start at the usual time, but not after core time begins (today's real start is kept)
+                const coreTime = this.configManager.getCoreTimeForDate(date);
+                let start = key === todayKey && options.todayStart ? options.todayStart : options.defaultStart;
+                if (coreTime && !(key === todayKey && options.todayStart) && start > coreTime.start) {
+                    start = coreTime.start;
+                }
+                day.start = start;
+                
+                // Staying until core time ends sets the minimum for the day
+                day.minMinutes = 0;
+                if (coreTime) {
+                    const presenceMinutes = Math.max(0, WeekPlanner.toMinutes(coreTime.end) - WeekPlanner.toMinutes(start));
+                    day.minMinutes = Math.max(0, presenceMinutes - options.getBreakForPresence(presenceMinutes));
+                }
+                day.maxMinutes = Math.max(day.minMinutes, maxDailyMinutes);
+            }
+            days.push(day);
+        }
+        
+        const pinnedMinutes = days.filter(day => day.pinned).reduce((sum, day) => sum + day.workMinutes, 0);
+        const remainingMinutes = Math.max(0, (weekTarget - doneHours) * 60);
+        this.spreadMinutes(days.filter(day => !day.pinned), remainingMinutes - pinnedMinutes);
+        
+        // Times are planned in 5 minute steps, the rounding remainder goes to the first days
+        const freeDays = days.filter(day => !day.pinned);
+        let restMinutes = Math.round(freeDays.reduce((sum, day) => sum + day.workMinutes, 0) / 5) * 5;
+        freeDays.forEach(day => {
+            day.workMinutes = Math.floor(day.workMinutes / 5) * 5;
+            restMinutes -= day.workMinutes;
+        });
+        freeDays.forEach(day => {
+            if (restMinutes > 0 && day.workMinutes + 5 <= day.maxMinutes) {
+                day.workMinutes += 5;
+                restMinutes -= 5;
+            }
+        });
+        freeDays.forEach(day => {
+            day.end = WeekPlanner.toTime(WeekPlanner.toMinutes(day.start) + day.workMinutes + options.getBreakForWork(day.workMinutes));
+        });
+        
+        const plannedMinutes = days.reduce((sum, day) => sum + day.workMinutes, 0);
+        return {
+            weekTarget,
+            doneHours,
+            remainingHours: remainingMinutes / 60,
+            unplannedHours: (remainingMinutes - plannedMinutes) / 60,
+            days
+        };
+    }
+
+    /**
+     * Spread the minutes over the days by their target, within each day's minimum and maximum
+     * Days that hit a bound are fixed there and the rest is spread again over the others.
+     */
+    spreadMinutes(days, minutes) {
+        let open = [...days];
+        let left = minutes;
+        
+        while (open.length > 0) {
+            const totalTarget = open.reduce((sum, day) => sum + day.targetHours, 0);
+            // Ohne Sollzeit (nur freie Tage offen) wird gleichmäßig verteilt
+            const even = totalTarget === 0;
+            const share = day => even ? left / open.length : left * day.targetHours / totalTarget;
+            
+            // Fix days below their minimum first, they take time away from the others
+            let bounded = open.filter(day => share(day) < day.minMinutes);
+            bounded.forEach(day => day.workMinutes = day.minMinutes);
+            if (bounded.length === 0) {
+                bounded = open.filter(day => share(day) > day.maxMinutes);
+                bounded.forEach(day => day.workMinutes = day.maxMinutes);
+            }
+            
+            if (bounded.length === 0) {
+                open.forEach(day => day.workMinutes = share(day));
+                return;
+            }
+            
+            bounded.forEach(day => left -= day.workMinutes);
+            open = open.filter(day => !bounded.includes(day));
+        }
+    }
+}
+
+/**
+ * Flexible Time Calculator
+ * Main application class
+ */
+class FlexibleTimeCalculator {
+    constructor() {
+        // Initialize managers
+        this.serverStorage = new ServerStorage();
+        this.configManager = new ConfigManager(this.serverStorage);
+        this.themeManager = new ThemeManager(this.configManager);
+        this.translationManager = new TranslationManager();
+        this.dayLogManager = new DayLogManager(this.serverStorage);
+        this.stampManager = new StampManager();
+        this.backupManager = new BackupManager(this.configManager, this.themeManager, this.dayLogManager);
+        this.weekPlanner = new WeekPlanner(this.configManager, this.dayLogManager);
+        this.serviceWorkerManager = new ServiceWorkerManager(() => this.updateBanner.classList.remove('hidden'));
+        this.notificationScheduler = new NotificationScheduler();
+        
+        // Get DOM elements (wichtig für spätere UI-Updates)
+        this.initializeElements();
+        
+        // Bind events
+        this.bindEvents();
+        
+        // Initialisiere die Anwendung in der richtigen Reihenfolge
+        // Alle weiteren Initialisierungen erfolgen in der initializeApp-Methode
+        this.initializeApp();
+    }
+
+    /**
+     * Initialize DOM elements
+     */
+    initializeElements() {
+        // Form elements
+        this.workDateInput = document.getElementById('work-date');
+        this.overnightInput = document.getElementById('overnight');
+        this.overnightHint = document.getElementById('overnight-hint');
+        this.startTimeInput = document.getElementById('start-time');
+        this.endTimeInput = document.getElementById('end-time');
+        this.overtimeBalanceInput = document.getElementById('overtime-balance');
+        this.forceBreakCheckbox = document.getElementById('force-break');
+        this.breakOptionContainer = document.getElementById('break-option-container');
+        this.segmentList = document.getElementById('segment-list');
+        this.addSegmentBtn = document.getElementById('add-segment');
+        this.breakList = document.getElementById('break-list');
+        this.addBreakBtn = document.getElementById('add-break');
+        
+        // Stamp elements
+        this.stampInBtn = document.getElementById('stamp-in');
+        this.stampOutBtn = document.getElementById('stamp-out');
+        this.stampPauseBtn = document.getElementById('stamp-pause');
+        this.stampPauseLabel = document.getElementById('stamp-pause-label');
+        this.stampStatusDisplay = document.getElementById('stamp-status');
+        this.openDayPrompt = document.getElementById('open-day-prompt');
+        this.openDayText = document.getElementById('open-day-text');
+        this.openDayTypicalBtn = document.getElementById('open-day-typical');
+        this.openDaySuggestedBtn = document.getElementById('open-day-suggested');
+        this.openDayEndInput = document.getElementById('open-day-end');
+        this.openDaySaveBtn = document.getElementById('open-day-save');
+        
+        // Result elements
+        this.workingHoursDisplay = document.getElementById('working-hours');
+        this.targetDisplay = document.getElementById('target-display');
+        this.timeBalanceDisplay = document.getElementById('time-balance');
+        this.totalOvertimeDisplay = document.getElementById('total-overtime');
+        this.suggestedEndTimeDisplay = document.getElementById('suggested-end-time');
+        this.breakSummaryDisplay = document.getElementById('break-summary');
+        this.roundingInfoDisplay = document.getElementById('rounding-info');
+        this.suggestionLabel = document.getElementById('suggestion-label');
+        this.leaveGoalSelect = document.getElementById('leave-goal');
+        this.leaveGoalHoursInput = document.getElementById('leave-goal-hours');
+        this.leaveGoalTimeInput = document.getElementById('leave-goal-time');
+        this.goalResultDisplay = document.getElementById('goal-result');
+        this.limitEndTimeDisplay = document.getElementById('limit-end-time');
+        this.complianceWarningsList = document.getElementById('compliance-warnings');
+        this.flexLimitsList = document.getElementById('flex-limits');
+        this.dayInfoDisplay = document.getElementById('day-info');
+        this.coreTimeInfoDisplay = document.getElementById('core-time-info');
+        
+        // Day log elements
+        this.dayLogList = document.getElementById('day-log-list');
+        this.dayLogEmpty = document.getElementById('day-log-empty');
+        this.plannerSummary = document.getElementById('planner-summary');
+        this.plannerList = document.getElementById('planner-list');
+        this.absenceFromInput = document.getElementById('absence-from');
+        this.absenceToInput = document.getElementById('absence-to');
+        this.absenceTypeSelect = document.getElementById('absence-type');
+        this.absenceAddBtn = document.getElementById('absence-add');
+        this.csvMonthInput = document.getElementById('csv-month');
+        this.csvExportBtn = document.getElementById('csv-export');
+        this.csvFileInput = document.getElementById('csv-file');
+        this.csvImportPanel = document.getElementById('csv-import-panel');
+        this.csvMapping = document.getElementById('csv-mapping');
+        this.csvConflictSelect = document.getElementById('csv-conflicts');
+        this.csvSummary = document.getElementById('csv-summary');
+        this.csvPreviewList = document.getElementById('csv-preview');
+        this.csvImportBtn = document.getElementById('csv-import');
+        this.csvCancelBtn = document.getElementById('csv-cancel');
+        this.csvReport = document.getElementById('csv-report');
+        
+        // Profile elements
+        this.profileSwitcher = document.getElementById('profile-switcher');
+        this.profileSelect = document.getElementById('profile-select');
+        this.profileNameInput = document.getElementById('profile-name');
+        this.profileNewNameInput = document.getElementById('profile-new-name');
+        this.profileCreateBtn = document.getElementById('profile-create');
+        this.profileDeleteBtn = document.getElementById('profile-delete');
+        
+        // Update prompt
+        this.updateBanner = document.getElementById('update-banner');
+        this.updateReloadBtn = document.getElementById('update-reload');
+        
+        // Modal elements
+        this.configBtn = document.getElementById('config-btn');
+        this.configModal = document.getElementById('config-modal');
+        this.modalClose = document.getElementById('modal-close');
+        this.modalOverlay = document.querySelector('.modal-overlay');
+        this.configForm = document.getElementById('config-form');
+        this.configReset = document.getElementById('config-reset');
+        this.backupDownloadBtn = document.getElementById('backup-download');
+        this.backupFileInput = document.getElementById('backup-file');
+        this.backupRestorePanel = document.getElementById('backup-restore-panel');
+        this.backupSummary = document.getElementById('backup-summary');
+        this.backupModeSelect = document.getElementById('backup-mode');
+        this.backupRestoreBtn = document.getElementById('backup-restore');
+        this.backupMessage = document.getElementById('backup-message');
+        
+        // Configuration inputs
+        this.targetHoursInputs = document.querySelectorAll('input[name="targetHours"]');
+        this.breakDurationInputs = document.querySelectorAll('input[name="breakDuration"]');
+        this.customHoursInput = document.getElementById('config-custom-hours');
+        this.customBreakInput = document.getElementById('config-custom-break');
+        
+        // Holiday inputs
+        this.holidayStateSelect = document.getElementById('config-holiday-state');
+        this.christmasEveSelect = document.getElementById('config-christmas-eve');
+        this.newYearsEveSelect = document.getElementById('config-new-years-eve');
+        
+        // Time rounding inputs
+        this.roundingToggle = document.getElementById('config-rounding');
+        this.roundingUnitSelect = document.getElementById('config-rounding-unit');
+        this.roundingStartSelect = document.getElementById('config-rounding-start');
+        this.roundingEndSelect = document.getElementById('config-rounding-end');
+        this.roundingGraceInput = document.getElementById('config-rounding-grace');
+        
+        // Core time inputs
+        this.coreTimeToggle = document.getElementById('config-core-time');
+        this.coreTimeStartInputs = document.querySelectorAll('.core-time-start');
+        this.coreTimeEndInputs = document.querySelectorAll('.core-time-end');
+        
+        // Flex account limit inputs
+        this.flexUpperLimitInput = document.getElementById('config-flex-upper');
+        this.flexLowerLimitInput = document.getElementById('config-flex-lower');
+        
+        // Working time limit inputs
+        this.maxDailyHoursInput = document.getElementById('config-max-daily-hours');
+        
+        // Weekly schedule inputs
+        this.weeklyScheduleToggle = document.getElementById('config-weekly-schedule');
+        this.weekdayHoursInputs = document.querySelectorAll('.weekday-hours');
+        
+        // Break rule inputs
+        this.breakRulesList = document.getElementById('break-rules-list');
+        this.breakRuleAddBtn = document.getElementById('break-rule-add');
+        
+        // Theme inputs
+        this.themeHiddenInput = document.getElementById('theme-hidden');
+        this.themeSegmentBtns = document.querySelectorAll('.theme-segmented .segment-btn');
+        
+        // Language inputs
+        this.languageHiddenInput = document.getElementById('language-hidden');
+        this.languageSegmentBtns = document.querySelectorAll('.language-segmented .segment-btn');
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        // Switching the day loads it from the day log
+        this.workDateInput.addEventListener('change', () => this.handleWorkDateChange());
+        this.overnightInput.addEventListener('change', () => this.handleInputChange());
+        
+        // Real-time calculation when inputs change
+        this.startTimeInput.addEventListener('input', () => {
+            // Prüfe, ob der Arbeitsbeginn nach der aktuellen Zeit liegt
+            // und das Endzeit-Feld nicht manuell editiert wurde
+            if (this.endTimeInput.getAttribute('data-manual-input') !== 'true') {
+                this.setCurrentTimeAsEndTime();
+            }
+            this.handleInputChange();
+        });
+        this.endTimeInput.addEventListener('input', () => {
+            // Mark end time as manually edited
+            this.endTimeInput.setAttribute('data-manual-input', 'true');
+            this.handleInputChange();
+        });
+        this.overtimeBalanceInput.addEventListener('input', () => {
+            this.handleOvertimeBalanceInput();
+            this.handleInputChange();
+        });
+        
+        // Break checkbox handling
+        if (this.forceBreakCheckbox) {
+            this.forceBreakCheckbox.addEventListener('change', () => this.handleInputChange());
+        }
+        
+        // Additional work intervals (split shifts)
+        this.addSegmentBtn.addEventListener('click', () => {
+            // Adding an interval ends the previous one, so freeze the auto-filled end time
+            this.endTimeInput.setAttribute('data-manual-input', 'true');
+            this.addSegmentRow();
+            this.handleInputChange();
+        });
+        this.segmentList.addEventListener('input', () => this.handleInputChange());
+        this.segmentList.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-remove-segment]');
+            if (removeBtn) {
+                removeBtn.closest('.segment-item').remove();
+                this.handleInputChange();
+            }
+        });
+        
+        // Logged break intervals
+        this.addBreakBtn.addEventListener('click', () => {
+            this.addBreakRow();
+        });
+        this.breakList.addEventListener('input', () => this.handleInputChange());
+        this.breakList.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-remove-break]');
+            if (removeBtn) {
+                removeBtn.closest('.break-item').remove();
+                this.handleInputChange();
+            }
+        });
+        
+        // Stamp buttons
+        this.stampInBtn.addEventListener('click', () => this.stampIn());
+        this.stampOutBtn.addEventListener('click', () => this.stampOut());
+        this.stampPauseBtn.addEventListener('click', () => this.toggleStampPause());
+        
+        // Correction of a day that was never clocked out
+        this.openDayTypicalBtn.addEventListener('click', () => this.correctOpenDay(this.openDayTypicalBtn.getAttribute('data-end-time')));
+        this.openDaySuggestedBtn.addEventListener('click', () => this.correctOpenDay(this.openDaySuggestedBtn.getAttribute('data-end-time')));
+        this.openDaySaveBtn.addEventListener('click', () => this.correctOpenDay(this.openDayEndInput.value));
+        
+        // Profiles
+        this.profileSelect.addEventListener('change', () => this.switchProfile(this.profileSelect.value));
+        this.profileNameInput.addEventListener('change', () => this.renameProfile());
+        this.profileCreateBtn.addEventListener('click', () => this.createProfile());
+        this.profileNewNameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.createProfile();
+            }
+        });
+        this.profileDeleteBtn.addEventListener('click', () => this.deleteProfile());
+        
+        // A new version of the app is ready
+        this.updateReloadBtn.addEventListener('click', () => this.serviceWorkerManager.applyUpdate());
+        
+        // Configuration modal events
+        this.configBtn.addEventListener('click', () => this.openConfigModal());
+        this.modalClose.addEventListener('click', () => this.closeConfigModal());
+        this.modalOverlay.addEventListener('click', () => this.closeConfigModal());
+        this.configReset.addEventListener('click', () => this.resetConfiguration());
+        
+        // Backup and restore of all app data
+        this.backupDownloadBtn.addEventListener('click', () => this.downloadBackup());
+        this.backupFileInput.addEventListener('change', () => this.handleBackupFile());
+        this.backupRestoreBtn.addEventListener('click', () => this.restoreBackup());
+        
+        // Real-time configuration changes
+        this.configForm.addEventListener('change', (e) => {
+            if (e.target.type === 'radio') {
+                // Auto-save when radio buttons change (without closing modal)
+                this.saveCurrentConfig();
+            }
+        });
+        
+        // Custom input handling
+        this.customHoursInput.addEventListener('input', () => this.handleCustomHoursInput());
+        this.customBreakInput.addEventListener('input', () => this.handleCustomBreakInput());
+        
+        // Public holidays
+        [this.holidayStateSelect, this.christmasEveSelect, this.newYearsEveSelect].forEach(select => {
+            select.addEventListener('change', () => this.saveCurrentConfig());
+        });
+        
+        // Time rounding
+        [this.roundingToggle, this.roundingUnitSelect, this.roundingStartSelect, this.roundingEndSelect].forEach(input => {
+            input.addEventListener('change', () => this.saveCurrentConfig());
+        });
+        this.roundingGraceInput.addEventListener('input', () => this.saveCurrentConfig());
+        
+        // Core time
+        this.coreTimeToggle.addEventListener('change', () => this.saveCurrentConfig());
+        [...this.coreTimeStartInputs, ...this.coreTimeEndInputs].forEach(input => {
+            input.addEventListener('change', () => this.saveCurrentConfig());
+        });
+        
+        // Working time limits
+        this.maxDailyHoursInput.addEventListener('input', () => this.saveCurrentConfig());
+        
+        // Flex account limits
+        [this.flexUpperLimitInput, this.flexLowerLimitInput].forEach(input => {
+            input.addEventListener('input', () => this.saveCurrentConfig());
+        });
+        
+        // Weekly schedule
+        this.weeklyScheduleToggle.addEventListener('change', () => this.saveCurrentConfig());
+        this.weekdayHoursInputs.forEach(input => {
+            input.addEventListener('input', () => this.saveCurrentConfig());
+        });
+        
+        // Custom break rule editing
+        this.breakRulesList.addEventListener('input', () => this.saveCurrentConfig());
+        this.breakRulesList.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-remove-rule]');
+            if (removeBtn) {
+                removeBtn.closest('.break-rule-item').remove();
+                this.saveCurrentConfig();
+            }
+        });
+        this.breakRuleAddBtn.addEventListener('click', () => this.addCustomBreakRule());
+        
+        // Theme handling - segmented control
+        this.themeSegmentBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                const themeValue = btn.getAttribute('data-theme');
+                if (themeValue) {
+                    this.themeHiddenInput.value = themeValue;
+                    this.themeManager.setTheme(themeValue);
+                    this.updateActiveThemeButton(themeValue);
+                }
+            });
+        });
+        
+        // Language handling - segmented control
+        this.languageSegmentBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                const langValue = btn.getAttribute('data-lang');
+                if (langValue) {
+                    this.languageHiddenInput.value = langValue;
+                    this.updateLanguage(langValue);
+                    this.updateActiveLanguageButton(langValue);
+                }
+            });
+        });
+        
+        // Leave goal
+        this.leaveGoalSelect.addEventListener('change', () => this.handleLeaveGoalChange());
+        [this.leaveGoalHoursInput, this.leaveGoalTimeInput].forEach(input => {
+            input.addEventListener('input', () => this.handleLeaveGoalChange());
+        });
+        
+        // Week planner: changing a time pins the day, unticking the pin releases it
+        this.plannerList.addEventListener('change', (e) => {
+            const row = e.target.closest('.planner-item');
+            if (!row) {
+                return;
+            }
+            
+            const pinned = e.target.matches('[data-planner-pin]') ? e.target.checked : true;
+            this.setPlannerPin(row.getAttribute('data-date'), pinned ? {
+                start: row.querySelector('.planner-start').value,
+                end: row.querySelector('.planner-end').value
+            } : null);
+        });
+        
+        // Absence days
+        this.absenceAddBtn.addEventListener('click', () => this.markAbsence());
+        
+        // Timesheet export and import
+        this.csvExportBtn.addEventListener('click', () => this.exportCsv());
+        this.csvFileInput.addEventListener('change', () => this.handleCsvFile());
+        this.csvMapping.addEventListener('change', () => this.renderCsvPreview());
+        this.csvConflictSelect.addEventListener('change', () => this.renderCsvPreview());
+        this.csvImportBtn.addEventListener('click', () => this.importCsv());
+        this.csvCancelBtn.addEventListener('click', () => this.closeCsvImport());
+        
+        // Day log delete buttons
+        this.dayLogList.addEventListener('click', (e) => {
+            const deleteBtn = e.target.closest('[data-delete-date]');
+            if (deleteBtn) {
+                this.deleteDayLogEntry(deleteBtn.getAttribute('data-delete-date'));
+            }
+        });
+        
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.configModal.classList.contains('hidden')) {
+                this.closeConfigModal();
+            }
+        });
+    }
+
+    /**
+     * Handle input changes for real-time calculation
+     */
+    handleInputChange() {
+        this.calculateTime();
+    }
+
+    /**
+     * Handle manual changes of the current balance
+     * The entered value is the balance at the start of the work date, so the opening balance
+     * is derived by removing everything the day log already carries forward
+     */
+    handleOvertimeBalanceInput() {
+        const enteredBalance = parseFloat(this.overtimeBalanceInput.value) || 0;
+        const openingBalance = enteredBalance - this.dayLogManager.getBalanceBefore(this.getWorkDate());
+        this.configManager.updateConfig({ openingBalance });
+    }
+
+    /**
+     * Date key (YYYY-MM-DD) of the day shown in the form, today by default
+     */
+    getWorkDate() {
+        return this.workDateInput.value || DayLogManager.getDateKey(new Date());
+    }
+
+    /**
+     * Whether the work date can still be running: today, or yesterday for a night shift
+     * A shift of yesterday runs at most the maximum shift length after its start
+     */
+    isLiveWorkDate(startTime = this.startTimeInput.value) {
+        const now = new Date();
+        const workDate = this.getWorkDate();
+        if (workDate === DayLogManager.getDateKey(now)) {
+            return true;
+        }
+        
+        const yesterday = new Date(now);
+        yesterday.setDate(yesterday.getDate() - 1);
+        if (workDate !== DayLogManager.getDateKey(yesterday) || !startTime) {
+            return false;
+        }
+        return now - this.parseTime(startTime, workDate) < this.getMaxShiftHours() * 60 * 60 * 1000;
+    }
+
+    /**
+     * Longest shift in hours before a day that was never clocked out counts as forgotten
+     */
+    getMaxShiftHours() {
+        return ComplianceChecker.fromConfig(this.configManager.getConfig()).maxDailyHours + 2;
+    }
+
+    /**
+     * Get the target working hours for a date (the work date by default)
+     */
+    getTargetHours(date = DayLogManager.toDate(this.getWorkDate())) {
+        return this.configManager.getTargetHoursForDate(date);
+    }
+
+    /**
+     * Show why the day's target differs from the usual one (public holiday, half day)
+     */
+    renderDayInfo(date = DayLogManager.toDate(this.getWorkDate())) {
+        const config = this.configManager.getConfig();
+        const holiday = HolidayCalendar.getHoliday(date, config.holidays && config.holidays.state);
+        const halfDayFactor = this.configManager.getHalfDayFactor(date);
+        
+        const entry = this.dayLogManager.getDay(DayLogManager.getDateKey(date));
+        
+        let text = '';
+        if (DayLogManager.isAbsence(entry)) {
+            text = this.translationManager.get(DayLogManager.absenceTypes[entry.type].labelKey);
+        } else if (holiday) {
+            text = `${this.translationManager.get('publicHoliday')}: ${holiday}`;
+        } else if (halfDayFactor < 1) {
+            text = this.translationManager.get(halfDayFactor === 0 ? 'dayOff' : 'halfDay');
+        }
+        
+        this.dayInfoDisplay.textContent = text;
+        this.dayInfoDisplay.classList.toggle('hidden', text === '');
+    }
+
+    /**
+     * Show today's core time and flag a start after core time begins
+     */
+    renderCoreTimeInfo(start) {
+        const coreTime = this.configManager.getCoreTimeForDate(DayLogManager.toDate(this.getWorkDate()));
+        if (!coreTime) {
+            this.coreTimeInfoDisplay.classList.add('hidden');
+            return;
+        }
+        
+        const lateStart = start && start > this.parseTime(coreTime.start);
+        let text = `${this.translationManager.get('coreTime')}: ${coreTime.start} – ${coreTime.end}`;
+        if (lateStart) {
+            text += ` · ${this.translationManager.get('lateStartWarning')}`;
+        }
+        
+        this.coreTimeInfoDisplay.textContent = text;
+        this.coreTimeInfoDisplay.classList.toggle('warning-text', !!lateStart);
+        this.coreTimeInfoDisplay.classList.remove('hidden');
+    }
+
+    /**
+     * Get the balance carried over from all logged days before the work date
+     */
+    getCarriedBalance() {
+        const config = this.configManager.getConfig();
+        return (config.openingBalance || 0) + this.dayLogManager.getBalanceBefore(this.getWorkDate());
+    }
+
+    /**
+     * Fill the current balance input with the carried-over balance
+     */
+    updateCarriedBalance() {
+        const carriedBalance = Math.round(this.getCarriedBalance() * 100) / 100;
+        this.overtimeBalanceInput.value = carriedBalance !== 0 ? carriedBalance : '';
+    }
+
+    /**
+     * Fill the form with a day from the day log, or clear it for a day without entry
+     * Only a day that can still be running keeps an end time that follows the clock
+     */
+    loadDayIntoForm(dateKey) {
+        const entry = this.dayLogManager.getDay(dateKey);
+        this.workDateInput.value = dateKey;
+        const live = this.isLiveWorkDate(entry && !DayLogManager.isAbsence(entry) ? entry.startTime : '');
+        
+        this.startTimeInput.value = '';
+        this.endTimeInput.value = '';
+        this.overnightInput.checked = false;
+        this.segmentList.innerHTML = '';
+        this.breakList.innerHTML = '';
+        if (live) {
+            this.endTimeInput.removeAttribute('data-manual-input');
+        } else {
+            this.endTimeInput.setAttribute('data-manual-input', 'true');
+        }
+        
+        if (entry && !DayLogManager.isAbsence(entry)) {
+            this.startTimeInput.value = entry.startTime;
+            this.overnightInput.checked = DayLogManager.isOvernight(entry);
+            (entry.segments || []).forEach(segment => this.addSegmentRow(segment));
+            (entry.breaks || []).forEach(breakInterval => this.addBreakRow(breakInterval));
+            if (entry.manualEndTime || !live) {
+                this.endTimeInput.value = entry.endTime;
+                this.endTimeInput.setAttribute('data-manual-input', 'true');
+            }
+        }
+        
+        if (this.endTimeInput.getAttribute('data-manual-input') !== 'true') {
+            this.setCurrentTimeAsEndTime();
+        }
+    }
+
+    /**
+     * Show another day in the form, e.g. to enter or correct a past day
+     */
+    handleWorkDateChange() {
+        this.loadDayIntoForm(this.workDateInput.value || DayLogManager.getDateKey(new Date()));
+        this.updateCarriedBalance();
+        this.renderStampControls();
+        this.calculateTime();
+    }
+
+    /**
+     * Restore the stamp buttons after a reload
+     * Stamps of an earlier day are dropped unless its night shift is still running.
+     * If that day was never clocked out, the day log asks for its real end time.
+     */
+    restoreStampState() {
+        // A night shift stamped in yesterday is still running, so the form shows its day
+        if (this.stampManager.isRunningShift(new Date(), this.getMaxShiftHours())) {
+            this.workDateInput.value = this.stampManager.state.date;
+        } else {
+            this.stampManager.closeStaleDay(DayLogManager.getDateKey(new Date()));
+        }
+        this.renderStampControls();
+    }
+
+    /**
+     * Move on to today when the tab stays open after an earlier day's shift can no longer be running
+     * Like after a reload, a day that was never clocked out, or whose end only followed the clock, stays open
+     * and the day log asks for its real end time.
+     * @returns {boolean} Whether the form moved to today
+     */
+    closeStaleWorkDate() {
+        const today = DayLogManager.getDateKey(new Date());
+        const workDate = this.getWorkDate();
+        const followsClock = this.endTimeInput.getAttribute('data-manual-input') !== 'true' || this.hasOpenSegment();
+        if (workDate === today || !followsClock || this.isLiveWorkDate()) {
+            return false;
+        }
+        
+        const entry = this.dayLogManager.getDay(workDate);
+        if (this.stampManager.state.date === workDate) {
+            this.stampManager.closeStaleDay(today);
+        } else if (entry && !DayLogManager.isAbsence(entry)) {
+            this.stampManager.setOpenDay(workDate);
+        }
+        
+        this.loadDayIntoForm(today);
+        this.updateCarriedBalance();
+        this.renderDayLog();
+        this.renderStampControls();
+        this.calculateTime();
+        return true;
+    }
+
+    /**
+     * Ask for the real end time of an earlier day that was never clocked out
+     * Offers the typical end time from the day log and the suggested end time of that day
+     */
+    renderOpenDayPrompt() {
+        const openDay = this.stampManager.state.openDay;
+        const entry = openDay ? this.dayLogManager.getDay(openDay) : null;
+        if (!entry || DayLogManager.isAbsence(entry)) {
+            if (openDay) {
+                this.stampManager.resolveOpenDay();
+            }
+            this.openDayPrompt.classList.add('hidden');
+            return;
+        }
+        
+        const locale = this.translationManager.currentLanguage === 'de' ? 'de-DE' : 'en-US';
+        const [year, month, day] = entry.date.split('-').map(Number);
+        const dateLabel = new Date(year, month - 1, day).toLocaleDateString(locale, {
+            weekday: 'long', day: '2-digit', month: '2-digit'
+        });
+        this.openDayText.textContent = `${this.translationManager.get('openDayMissing')} ${dateLabel}. ${this.translationManager.get('openDayQuestion')}`;
+        
+        const typicalEnd = this.dayLogManager.getTypicalTime('endTime');
+        const suggestedEnd = this.getSuggestedEndForEntry(entry);
+        this.openDayTypicalBtn.textContent = `${this.translationManager.get('openDayTypical')}: ${typicalEnd}`;
+        this.openDayTypicalBtn.setAttribute('data-end-time', typicalEnd || '');
+        this.openDayTypicalBtn.classList.toggle('hidden', !typicalEnd);
+        this.openDaySuggestedBtn.textContent = `${this.translationManager.get('openDaySuggested')}: ${suggestedEnd}`;
+        this.openDaySuggestedBtn.setAttribute('data-end-time', suggestedEnd || '');
+        this.openDaySuggestedBtn.classList.toggle('hidden', !suggestedEnd);
+        this.openDayEndInput.setAttribute('aria-label', this.translationManager.get('openDayEnd'));
+        if (!this.openDayEndInput.value) {
+            this.openDayEndInput.value = suggestedEnd || typicalEnd || '';
+        }
+        
+        this.openDayPrompt.classList.remove('hidden');
+    }
+
+    /**
+     * Suggested end time of a logged day: its target plus the break, after its last start
+     */
+    getSuggestedEndForEntry(entry) {
+        const start = entry.startTime ? this.parseTime(entry.startTime, entry.date) : null;
+        if (!start) {
+            return null;
+        }
+        
+        const workday = this.createWorkday();
+        const segmentRows = (entry.segments || []).map(row => row.start && !row.end ? { ...row, end: row.start } : row);
+        const mainEnd = segmentRows.length > 0 && entry.endTime ? this.parseTime(entry.endTime, entry.date) : new Date(start);
+        if (DayLogManager.isOvernight(entry)) {
+            mainEnd.setDate(mainEnd.getDate() + 1);
+        }
+        
+        const segments = workday.getWorkSegments(start, mainEnd, segmentRows);
+        const loggedBreakMinutes = workday.getLoggedBreakMinutes(entry.breaks || [], segmentRows.length > 0 ? segments : null, entry.date);
+        const endTime = workday.getEndTimeForWorkMinutes(segments, entry.targetHours * 60, loggedBreakMinutes, WorkdayCalculator.getGapMinutes(segments));
+        return this.formatTime(endTime);
+    }
+
+    /**
+     * Close the open day at the given end time and recalculate it with the usual rules
+     * The entry is marked as corrected in the day log
+     */
+    correctOpenDay(endTime) {
+        const entry = this.dayLogManager.getDay(this.stampManager.state.openDay);
+        if (!entry || !endTime) {
+            return;
+        }
+        
+        // The running work interval and a running pause end at the corrected time
+        const closeAt = rows => (rows || []).map(row => row.start && !row.end ? { ...row, end: endTime } : row);
+        const hasOpenSegment = (entry.segments || []).some(row => row.start && !row.end);
+        const segmentRows = closeAt(entry.segments);
+        const breakRows = closeAt(entry.breaks);
+        const mainEndTime = hasOpenSegment ? entry.endTime : endTime;
+        
+        // A real end before the start means the shift ended after midnight
+        const overnight = hasOpenSegment ? DayLogManager.isOvernight(entry) : mainEndTime < entry.startTime;
+        
+        this.dayLogManager.saveDay({
+            ...this.buildWorkEntry(entry.date, {
+                startTime: entry.startTime,
+                endTime: mainEndTime,
+                overnight,
+                segments: segmentRows,
+                breaks: breakRows
+            }, entry.targetHours),
+            corrected: true
+        });
+        
+        this.stampManager.resolveOpenDay();
+        this.openDayEndInput.value = '';
+        this.openDayPrompt.classList.add('hidden');
+        
+        // The corrected day changes the balance carried into today
+        this.updateCarriedBalance();
+        this.renderDayLog();
+        this.calculateTime();
+    }
+
+    /**
+     * Calculate a day log entry for a worked day that is not in the form
+     * Uses the same rules as calculateTime(): rounding, logged breaks and the legal minimum
+     * @param {string} date - Date key of the day
+     * @param {Object} day - { startTime, endTime, overnight, segments, breaks } as stored in the day log
+     * @param {number} targetHours - Target of the day, from the configuration by default
+     */
+    buildWorkEntry(date, day, targetHours = this.getTargetHours(DayLogManager.toDate(date))) {
+        const start = this.parseTime(day.startTime, date);
+        const end = this.parseTime(day.endTime, date);
+        if (day.overnight) {
+            end.setDate(end.getDate() + 1);
+        }
+        
+        const segments = day.segments || [];
+        const breaks = day.breaks || [];
+        const workday = this.createWorkday();
+        const { breakMinutes, workingHours, rawWorkingHours } = workday.getWorkedTime(workday.getWorkSegments(start, end, segments), breaks);
+        
+        return {
+            date,
+            type: 'work',
+            startTime: day.startTime,
+            endTime: day.endTime,
+            overnight: day.overnight === true,
+            manualEndTime: true,
+            segments,
+            breaks,
+            breakMinutes,
+            workingHours,
+            rawWorkingHours,
+            targetHours,
+            todayBalance: workingHours - targetHours
+        };
+    }
+
+    /**
+     * Store today's calculation in the day log
+     */
+    logCurrentDay(results) {
+        // An end filled in ahead of time (start in the future) is only an estimate, nothing of it was worked yet
+        const lastSegment = results.rawSegments[results.rawSegments.length - 1];
+        if (this.endTimeInput.getAttribute('data-manual-input') !== 'true' && lastSegment.end > new Date()) {
+            return;
+        }
+        
+        const entry = {
+            date: this.getWorkDate(),
+            type: 'work',
+            startTime: this.startTimeInput.value,
+            endTime: this.endTimeInput.value,
+            overnight: this.overnightInput.checked,
+            manualEndTime: this.endTimeInput.getAttribute('data-manual-input') === 'true',
+            segments: this.readSegmentRows(),
+            breaks: this.readBreakRows(),
+            breakMinutes: results.breakMinutes,
+            workingHours: results.workingHours,
+            rawWorkingHours: results.rawWorkingHours,
+            targetHours: results.targetHours,
+            todayBalance: results.todayBalance
+        };
+        
+        const previous = this.dayLogManager.getDay(entry.date);
+        if (previous && JSON.stringify({ ...previous, updatedAt: undefined }) === JSON.stringify(entry)) {
+            return;
+        }
+        
+        this.dayLogManager.saveDay(entry);
+        this.renderDayLog();
+    }
+
+    /**
+     * Add a row for a break interval to the form
+     */
+    addBreakRow(breakInterval = { start: '', end: '' }) {
+        const row = document.createElement('li');
+        row.className = 'break-item';
+        row.innerHTML = `
+            <input type="time" class="input break-start" aria-label="${this.translationManager.get('breakStart')}">
+            <span class="break-separator">–</span>
+            <input type="time" class="input break-end" aria-label="${this.translationManager.get('breakEnd')}">
+            <button type="button" class="break-remove" data-remove-break title="${this.translationManager.get('removeBreak')}">&times;</button>
+        `;
+        row.querySelector('.break-start').value = breakInterval.start || '';
+        row.querySelector('.break-end').value = breakInterval.end || '';
+        this.breakList.appendChild(row);
+        return row;
+    }
+
+    /**
+     * Read all break rows from the form
+     */
+    readBreakRows() {
+        return Array.from(this.breakList.querySelectorAll('.break-item')).map(row => ({
+            start: row.querySelector('.break-start').value,
+            end: row.querySelector('.break-end').value
+        }));
+    }
+
+    /**
+     * Add a row for an additional work interval to the form
+     */
+    addSegmentRow(segment = { start: '', end: '' }) {
+        const row = document.createElement('li');
+        row.className = 'segment-item';
+        row.innerHTML = `
+            <input type="time" class="input segment-start" aria-label="${this.translationManager.get('startTime')}">
+            <span class="break-separator">–</span>
+            <input type="time" class="input segment-end" aria-label="${this.translationManager.get('endTime')}">
+            <button type="button" class="break-remove" data-remove-segment title="${this.translationManager.get('removeSegment')}">&times;</button>
+        `;
+        row.querySelector('.segment-start').value = segment.start || '';
+        row.querySelector('.segment-end').value = segment.end || '';
+        this.segmentList.appendChild(row);
+        return row;
+    }
+
+    /**
+     * Read all additional work interval rows from the form
+     */
+    readSegmentRows() {
+        return Array.from(this.segmentList.querySelectorAll('.segment-item')).map(row => ({
+            start: row.querySelector('.segment-start').value,
+            end: row.querySelector('.segment-end').value
+        }));
+    }
+
+    /**
+     * Whether the last additional work interval has no end yet and runs until now
+     */
+    hasOpenSegment() {
+        const rows = this.readSegmentRows();
+        return rows.length > 0 && rows[rows.length - 1].start !== '' && rows[rows.length - 1].end === '';
+    }
+
+    /**
+     * Clock in
+     * The first stamp of the day sets the start time, stamping in again after
+     * clocking out opens an additional work interval that runs until now
+     */
+    stampIn() {
+        const now = new Date();
+        const time = this.formatTime(now);
+        const dayClosed = this.endTimeInput.getAttribute('data-manual-input') === 'true' && !this.hasOpenSegment();
+        
+        if (!this.startTimeInput.value) {
+            this.startTimeInput.value = time;
+            this.endTimeInput.removeAttribute('data-manual-input');
+            this.setCurrentTimeAsEndTime();
+        } else if (dayClosed) {
+            this.addSegmentRow({ start: time, end: '' });
+        }
+        
+        this.stampManager.stamp('in', now);
+        this.handleStampChange();
+    }
+
+    /**
+     * Clock out: ends the running work interval (and a running pause) at the current time
+     */
+    stampOut() {
+        const now = new Date();
+        const time = this.formatTime(now);
+        
+        if (this.stampManager.getStatus() === 'break') {
+            this.closeOpenBreak(time);
+        }
+        
+        const segmentRows = this.segmentList.querySelectorAll('.segment-item');
+        const lastSegment = segmentRows[segmentRows.length - 1];
+        if (this.hasOpenSegment()) {
+            if (lastSegment.querySelector('.segment-start').value === time) {
+                // Stamped in and out within the same minute, nothing was worked
+                lastSegment.remove();
+            } else {
+                lastSegment.querySelector('.segment-end').value = time;
+            }
+        } else {
+            this.endTimeInput.value = time;
+            this.endTimeInput.setAttribute('data-manual-input', 'true');
+        }
+        
+        this.stampManager.stamp('out', now);
+        this.handleStampChange();
+    }
+
+    /**
+     * Start a pause, or end the running one
+     */
+    toggleStampPause() {
+        const now = new Date();
+        const time = this.formatTime(now);
+        
+        if (this.stampManager.getStatus() === 'break') {
+            this.closeOpenBreak(time);
+            this.stampManager.stamp('resume', now);
+        } else {
+            this.addBreakRow({ start: time, end: '' });
+            this.stampManager.stamp('pause', now);
+        }
+        
+        this.handleStampChange();
+    }
+
+    /**
+     * Set the end of the last break without end, a break of less than a minute is removed
+     */
+    closeOpenBreak(time) {
+        const openBreak = Array.from(this.breakList.querySelectorAll('.break-item'))
+            .reverse()
+            .find(row => row.querySelector('.break-start').value && !row.querySelector('.break-end').value);
+        if (!openBreak) {
+            return;
+        }
+        
+        if (openBreak.querySelector('.break-start').value === time) {
+            openBreak.remove();
+        } else {
+            openBreak.querySelector('.break-end').value = time;
+        }
+    }
+
+    /**
+     * Recalculate after a stamp and update the stamp buttons
+     */
+    handleStampChange() {
+        if (this.endTimeInput.getAttribute('data-manual-input') !== 'true') {
+            this.setCurrentTimeAsEndTime();
+        }
+        this.handleInputChange();
+        this.renderStampControls();
+    }
+
+    /**
+     * Enable the stamp buttons that fit the current status and show since when it applies
+     * Stamping is only possible while the form shows the stamped day
+     */
+    renderStampControls() {
+        const status = this.stampManager.getStatus();
+        const last = this.stampManager.getLastStamp();
+        
+        // Stamps belong to the stamped day, or to today when nothing is stamped yet
+        const stampDate = this.stampManager.state.date && status !== 'out' ? this.stampManager.state.date : DayLogManager.getDateKey(new Date());
+        const stampable = this.getWorkDate() === stampDate;
+        
+        this.stampInBtn.disabled = !stampable || status !== 'out';
+        this.stampOutBtn.disabled = !stampable || status === 'out';
+        this.stampPauseBtn.disabled = !stampable || status === 'out';
+        this.stampPauseLabel.textContent = this.translationManager.get(status === 'break' ? 'stampResume' : 'stampPause');
+        this.stampPauseBtn.classList.toggle('active', status === 'break');
+        
+        if (!last) {
+            this.stampStatusDisplay.textContent = this.translationManager.get('stampStatusNone');
+            return;
+        }
+        
+        const statusKeys = { in: 'stampStatusIn', break: 'stampStatusBreak', out: 'stampStatusOut' };
+        this.stampStatusDisplay.textContent = `${this.translationManager.get(statusKeys[status])} ${this.formatTime(new Date(last.time))}`;
+    }
+
+    /**
+     * Format the work intervals of a day log entry
+     */
+    formatIntervals(entry) {
+        // Night shifts are marked with +1 at their end
+        const mainEnd = DayLogManager.isOvernight(entry) ? `${entry.endTime} (+1)` : entry.endTime;
+        const intervals = [{ start: entry.startTime, end: mainEnd }, ...(entry.segments || [])];
+        return intervals.map(interval => `${interval.start} – ${interval.end || '…'}`).join(', ');
+    }
+
+    /**
+     * Show logged breaks and the top-up to the legal minimum in the results panel
+     */
+    renderBreakSummary(loggedBreakMinutes, topUpMinutes) {
+        if (loggedBreakMinutes === null) {
+            this.breakSummaryDisplay.classList.add('hidden');
+            return;
+        }
+        
+        let text = `${this.translationManager.get('breaksLogged')}: ${this.formatHours(loggedBreakMinutes / 60)}`;
+        if (topUpMinutes > 0) {
+            text += ` · ${this.translationManager.get('breakTopUp')}: +${this.formatHours(topUpMinutes / 60)}`;
+        }
+        
+        this.breakSummaryDisplay.textContent = text;
+        this.breakSummaryDisplay.classList.toggle('warning-text', topUpMinutes > 0);
+        this.breakSummaryDisplay.classList.remove('hidden');
+    }
+
+    /**
+     * Show the raw and the rounded working time while time rounding is enabled
+     */
+    renderRoundingInfo(rawWorkingHours, roundedWorkingHours) {
+        this.roundingInfoDisplay.textContent = `${this.translationManager.get('rawWorkingTime')}: ${this.formatHours(rawWorkingHours)} · ${this.translationManager.get('roundedWorkingTime')}: ${this.formatHours(roundedWorkingHours)}`;
+        this.roundingInfoDisplay.classList.remove('hidden');
+    }
+
+    /**
+     * Show the latest end before the daily maximum and any working time warnings
+     */
+    renderCompliance(warnings, limitEndTime) {
+        if (limitEndTime) {
+            const maxHours = ComplianceChecker.fromConfig(this.configManager.getConfig()).maxDailyHours;
+            this.limitEndTimeDisplay.innerHTML = `${this.translationManager.get('limitEndTime')} (${this.formatHours(maxHours)}): <strong id="limit-end-time-value">${this.formatTime(limitEndTime)}</strong>`;
+            this.limitEndTimeDisplay.classList.remove('hidden');
+        } else {
+            this.limitEndTimeDisplay.classList.add('hidden');
+        }
+        
+        const messageKeys = {
+            dailyLimit: 'dailyLimitWarning',
+            weeklyAverage: 'weeklyAverageWarning',
+            restPeriod: 'restPeriodWarning'
+        };
+        
+        this.complianceWarningsList.innerHTML = '';
+        warnings.forEach(warning => {
+            const item = document.createElement('li');
+            item.className = 'compliance-warning';
+            item.textContent = `${this.translationManager.get(messageKeys[warning.type])}: ${this.formatHours(warning.value)} / ${this.formatHours(warning.limit)}`;
+            this.complianceWarningsList.appendChild(item);
+        });
+        this.complianceWarningsList.classList.toggle('hidden', warnings.length === 0);
+    }
+
+    /**
+     * Show the distance of the new balance to the flex account limits
+     * and the leave times that keep the balance within them
+     */
+    renderFlexLimits(newTotalBalance, leaveTimes = {}) {
+        const limits = this.configManager.getFlexLimits();
+        this.flexLimitsList.innerHTML = '';
+        if (newTotalBalance === null || (limits.upper === null && limits.lower === null)) {
+            this.flexLimitsList.classList.add('hidden');
+            return;
+        }
+        
+        const addItem = (text, exceeded = false) => {
+            const item = document.createElement('li');
+            item.className = exceeded ? 'flex-limit-item negative' : 'flex-limit-item';
+            item.textContent = text;
+            this.flexLimitsList.appendChild(item);
+        };
+        const formatLimit = limit => `${limit > 0 ? '+' : ''}${this.formatHours(limit)}`;
+        
+        if (limits.upper !== null) {
+            const distance = limits.upper - newTotalBalance;
+            addItem(`${this.translationManager.get(distance >= 0 ? 'toUpperFlexLimit' : 'aboveUpperFlexLimit')} (${formatLimit(limits.upper)}): ${this.formatHours(Math.abs(distance))}`, distance < 0);
+            if (leaveTimes.latest) {
+                addItem(`${this.translationManager.get('latestLeaveTime')}: ${this.formatTime(leaveTimes.latest)}`);
+            }
+        }
+        
+        if (limits.lower !== null) {
+            const distance = newTotalBalance - limits.lower;
+            addItem(`${this.translationManager.get(distance >= 0 ? 'toLowerFlexLimit' : 'belowLowerFlexLimit')} (${formatLimit(limits.lower)}): ${this.formatHours(Math.abs(distance))}`, distance < 0);
+            if (leaveTimes.earliest) {
+                addItem(`${this.translationManager.get('earliestLeaveTime')}: ${this.formatTime(leaveTimes.earliest)}`);
+            }
+        }
+        
+        this.flexLimitsList.classList.remove('hidden');
+    }
+
+    /**
+     * Mark a day or a range of days as absence
+     * Days without target (weekends, public holidays) are skipped in a range
+     */
+    markAbsence() {
+        const from = this.absenceFromInput.value;
+        const to = this.absenceToInput.value || from;
+        const type = this.absenceTypeSelect.value;
+        if (!from || to < from || !DayLogManager.absenceTypes[type]) {
+            return;
+        }
+        
+        const [year, month, day] = from.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+        const isRange = to !== from;
+        
+        while (DayLogManager.getDateKey(date) <= to) {
+            const targetHours = this.getTargetHours(date);
+            if (!isRange || targetHours > 0) {
+                this.dayLogManager.saveDay(DayLogManager.createAbsenceEntry(DayLogManager.getDateKey(date), type, targetHours));
+            }
+            date.setDate(date.getDate() + 1);
+        }
+        
+        this.absenceFromInput.value = '';
+        this.absenceToInput.value = '';
+        this.updateCarriedBalance();
+        this.renderDayLog();
+        this.calculateTime();
+    }
+
+    /**
+     * Download the logged days of the selected month (all days if empty) as CSV
+     */
+    exportCsv() {
+        const month = this.csvMonthInput.value;
+        const entries = this.dayLogManager.getEntries()
+            .filter(entry => !month || entry.date.startsWith(month))
+            .reverse();
+        
+        const csv = TimesheetCsv.toCsv(
+            entries,
+            field => this.translationManager.get(TimesheetCsv.headerKeys[field]),
+            type => this.getDayTypeLabel(type)
+        );
+        
+        // The byte order mark makes spreadsheets read umlauts as UTF-8
+        this.downloadFile('\uFEFF' + csv, `feierabend-${month || 'timesheet'}.csv`, 'text/csv;charset=utf-8');
+    }
+
+    /**
+     * Let the browser download the given text as a file
+     */
+    downloadFile(content, fileName, type) {
+        const blob = new Blob([content], { type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Label of a day type in the current language
+     */
+    getDayTypeLabel(type) {
+        const absenceType = DayLogManager.absenceTypes[type];
+        return this.translationManager.get(absenceType ? absenceType.labelKey : 'dayTypeWork');
+    }
+
+    /**
+     * Read a day type from a CSV cell: a type key or its label in any language
+     * Empty cells are worked days, unknown values return null
+     */
+    parseDayType(text) {
+        const value = text.trim().toLowerCase();
+        if (value === '') {
+            return 'work';
+        }
+        
+        const types = { work: 'dayTypeWork' };
+        Object.entries(DayLogManager.absenceTypes).forEach(([type, { labelKey }]) => {
+            types[type] = labelKey;
+        });
+        const match = Object.entries(types).find(([type, labelKey]) => {
+            return type.toLowerCase() === value || this.getTranslationsInAllLanguages(labelKey).some(label => label.toLowerCase() === value);
+        });
+        return match ? match[0] : null;
+    }
+
+    /**
+     * All translations of a key, e.g. to recognise German and English column titles
+     */
+    getTranslationsInAllLanguages(key) {
+        return Object.values(this.translationManager.translations)
+            .map(language => language[key])
+            .filter(Boolean);
+    }
+
+    /**
+     * Read the selected CSV file and show the column mapping
+     */
+    async handleCsvFile() {
+        const file = this.csvFileInput.files[0];
+        if (!file) {
+            return;
+        }
+        
+        try {
+            const rows = TimesheetCsv.parse(await file.text());
+            if (rows.length < 2) {
+                throw new Error('No data rows');
+            }
+            
+            this.csvImport = {
+                header: rows[0],
+                rows: rows.slice(1),
+                mapping: TimesheetCsv.guessMapping(rows[0], field => this.getTranslationsInAllLanguages(TimesheetCsv.headerKeys[field]))
+            };
+        } catch (error) {
+            console.warn('Failed to read CSV file:', error);
+            this.csvImport = null;
+            this.showCsvReport(this.translationManager.get('csvUnreadable'));
+            this.csvFileInput.value = '';
+            return;
+        }
+        
+        this.csvReport.classList.add('hidden');
+        this.renderCsvMapping();
+        this.renderCsvPreview();
+        this.csvImportPanel.classList.remove('hidden');
+    }
+
+    /**
+     * One select per field to choose its column in the file
+     */
+    renderCsvMapping() {
+        const { header, mapping } = this.csvImport;
+        this.csvMapping.innerHTML = '';
+        TimesheetCsv.importFields.forEach(field => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            
+            const options = header.map((title, index) => {
+                return `<option value="${index}" ${mapping[field] === index ? 'selected' : ''}>${this.escapeHtml(title || `#${index + 1}`)}</option>`;
+            }).join('');
+            group.innerHTML = `
+                <label class="label" for="csv-map-${field}">${this.translationManager.get(TimesheetCsv.headerKeys[field])}</label>
+                <select id="csv-map-${field}" class="input" data-csv-field="${field}">
+                    <option value="">${this.translationManager.get('csvNotMapped')}</option>
+                    ${options}
+                </select>
+            `;
+            this.csvMapping.appendChild(group);
+        });
+    }
+
+    /**
+     * Escape text from a file before putting it into HTML
+     */
+    escapeHtml(text) {
+        const element = document.createElement('span');
+        element.textContent = text;
+        return element.innerHTML;
+    }
+
+    /**
+     * Turn the file rows into day log entries with the selected mapping
+     * Each row gets a status: new, same (already logged like this), conflict or invalid
+     */
+    getCsvImportRows() {
+        const mapping = {};
+        this.csvMapping.querySelectorAll('[data-csv-field]').forEach(select => {
+            if (select.value !== '') {
+                mapping[select.getAttribute('data-csv-field')] = Number(select.value);
+            }
+        });
+        
+        const seenDates = new Set();
+        return this.csvImport.rows.map((row, index) => {
+            // Line numbers as in a text editor: the header is line 1
+            const line = index + 2;
+            const result = this.csvRowToEntry(row, mapping);
+            if (result.error) {
+                return { line, status: 'invalid', message: this.translationManager.get(result.error) };
+            }
+            
+            const entry = result.entry;
+            if (seenDates.has(entry.date)) {
+                return { line, entry, status: 'invalid', message: this.translationManager.get('csvDuplicateDate') };
+            }
+            seenDates.add(entry.date);
+            
+            const logged = this.dayLogManager.getDay(entry.date);
+            if (!logged) {
+                return { line, entry, status: 'new' };
+            }
+            
+            const same = logged.type === entry.type && (logged.startTime || '') === entry.startTime &&
+                (logged.endTime || '') === entry.endTime && Math.abs(logged.workingHours - entry.workingHours) < 0.01;
+            return { line, entry, logged, status: same ? 'same' : 'conflict' };
+        });
+    }
+
+    /**
+     * Convert one CSV row into a day log entry, or return the reason why it can't be read
+     */
+    csvRowToEntry(row, mapping) {
+        const cell = field => mapping[field] !== undefined ? (row[mapping[field]] || '').trim() : '';
+        
+        const date = TimesheetCsv.parseDate(cell('date'));
+        if (!date) {
+            return { error: 'csvInvalidDate' };
+        }
+        
+        const type = this.parseDayType(cell('type'));
+        if (!type) {
+            return { error: 'csvInvalidType' };
+        }
+        if (type !== 'work') {
+            return { entry: DayLogManager.createAbsenceEntry(date, type, this.getTargetHours(DayLogManager.toDate(date))) };
+        }
+        
+        const startTime = TimesheetCsv.parseTime(cell('start'));
+        const endTime = TimesheetCsv.parseTime(cell('end'));
+        if (!startTime || !endTime) {
+            return { error: 'csvInvalidTime' };
+        }
+        
+        const breaks = TimesheetCsv.parseBreaks(cell('breaks'));
+        if (breaks === null) {
+            return { error: 'csvInvalidBreaks' };
+        }
+        
+        // Time clock exports don't mark night shifts, an end before the start is one
+        const overnight = endTime < startTime;
+        const breakRows = Array.isArray(breaks) ? breaks : this.getCenteredBreak(date, startTime, endTime, overnight, breaks);
+        return { entry: this.buildWorkEntry(date, { startTime, endTime, overnight, breaks: breakRows }) };
+    }
+
+    /**
+     * Break rows for a break that is only known by its duration: placed in the middle of the day
+     */
+    getCenteredBreak(date, startTime, endTime, overnight, minutes) {
+        if (minutes <= 0) {
+            return [];
+        }
+        
+        const start = this.parseTime(startTime, date);
+        const end = this.parseTime(endTime, date);
+        if (overnight) {
+            end.setDate(end.getDate() + 1);
+        }
+        
+        const presenceMinutes = (end - start) / (1000 * 60);
+        const offset = Math.max(0, Math.round((presenceMinutes - minutes) / 2 / 5) * 5);
+        const breakStart = new Date(start.getTime() + offset * 60 * 1000);
+        const breakEnd = new Date(breakStart.getTime() + minutes * 60 * 1000);
+        return [{ start: this.formatTime(breakStart), end: this.formatTime(breakEnd) }];
+    }
+
+    /**
+     * Show the counts per status and the rows that need attention
+     */
+    renderCsvPreview() {
+        const rows = this.getCsvImportRows();
+        const count = status => rows.filter(row => row.status === status).length;
+        const overwrite = this.csvConflictSelect.value === 'overwrite';
+        const statusKeys = { new: 'csvStatusNew', same: 'csvStatusSame', conflict: 'csvStatusConflict', invalid: 'csvStatusInvalid' };
+        
+        this.csvSummary.textContent = Object.entries(statusKeys)
+            .map(([status, key]) => `${this.translationManager.get(key)}: ${count(status)}`)
+            .join(' · ');
+        this.csvImportBtn.disabled = count('new') === 0 && (!overwrite || count('conflict') === 0);
+        
+        this.csvPreviewList.innerHTML = '';
+        rows.forEach(row => {
+            const item = document.createElement('li');
+            item.className = `day-log-item csv-preview-item ${row.status}`;
+            
+            let description = row.message || '';
+            if (row.entry) {
+                const fileText = DayLogManager.isAbsence(row.entry) ? this.getDayTypeLabel(row.entry.type) : this.formatIntervals(row.entry);
+                description = row.message || fileText;
+                if (row.status === 'conflict') {
+                    const loggedText = DayLogManager.isAbsence(row.logged) ? this.getDayTypeLabel(row.logged.type) : this.formatIntervals(row.logged);
+                    description = `${fileText} · ${this.translationManager.get('csvLogged')}: ${loggedText}`;
+                }
+            }
+            
+            item.innerHTML = `
+                <span class="day-log-date">${this.translationManager.get('csvLine')} ${row.line}${row.entry ? ` · ${row.entry.date}` : ''}</span>
+                <span class="day-log-times">${this.escapeHtml(description)}</span>
+                <span class="day-log-hours">${row.entry ? this.formatHours(row.entry.workingHours) : ''}</span>
+                <span class="csv-status">${this.translationManager.get(statusKeys[row.status])}</span>
+            `;
+            this.csvPreviewList.appendChild(item);
+        });
+    }
+
+    /**
+     * Save the new rows, and the conflicting ones if they should replace the logged days
+     */
+    importCsv() {
+        const rows = this.getCsvImportRows();
+        const overwrite = this.csvConflictSelect.value === 'overwrite';
+        const imported = rows.filter(row => row.status === 'new' || (overwrite && row.status === 'conflict'));
+        imported.forEach(row => this.dayLogManager.saveDay(row.entry));
+        
+        const skippedConflicts = overwrite ? [] : rows.filter(row => row.status === 'conflict');
+        const invalid = rows.filter(row => row.status === 'invalid');
+        let report = `${this.translationManager.get('csvImported')}: ${imported.length}`;
+        if (skippedConflicts.length > 0) {
+            report += ` · ${this.translationManager.get('csvSkippedConflicts')}: ${skippedConflicts.map(row => row.entry.date).join(', ')}`;
+        }
+        if (invalid.length > 0) {
+            report += ` · ${this.translationManager.get('csvSkippedInvalid')}: ${invalid.map(row => `${this.translationManager.get('csvLine')} ${row.line} (${row.message})`).join(', ')}`;
+        }
+        
+        this.closeCsvImport();
+        this.showCsvReport(report);
+        
+        // Imported days change the carried balance and may include the day in the form
+        this.updateCarriedBalance();
+        this.loadDayIntoForm(this.getWorkDate());
+        this.renderDayLog();
+        this.calculateTime();
+    }
+
+    /**
+     * Hide the import panel and forget the file
+     */
+    closeCsvImport() {
+        this.csvImport = null;
+        this.csvFileInput.value = '';
+        this.csvImportPanel.classList.add('hidden');
+    }
+
+    /**
+     * Show the result of an import below the day log tools
+     */
+    showCsvReport(text) {
+        this.csvReport.textContent = text;
+        this.csvReport.classList.remove('hidden');
+    }
+
+    /**
+     * Display name of a profile, the default profile is called "Default" until it is renamed
+     */
+    getProfileName(profile) {
+        return profile.name || this.translationManager.get('profileDefaultName');
+    }
+
+    /**
+     * Fill the header switcher and the profile settings
+     * The switcher only shows up once there is more than one profile
+     */
+    renderProfiles() {
+        const profiles = ProfileManager.getProfiles();
+        const active = ProfileManager.getActive();
+        
+        this.profileSelect.innerHTML = '';
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = this.getProfileName(profile);
+            this.profileSelect.appendChild(option);
+        });
+        this.profileSelect.value = active.id;
+        this.profileSelect.setAttribute('title', this.translationManager.get('profile'));
+        this.profileSwitcher.classList.toggle('hidden', profiles.length < 2);
+        
+        if (document.activeElement !== this.profileNameInput) {
+            this.profileNameInput.value = active.name;
+        }
+        this.profileNameInput.placeholder = this.getProfileName({ name: '' });
+        this.profileDeleteBtn.classList.toggle('hidden', active.id === ProfileManager.defaultId);
+    }
+
+    /**
+     * Switch to another profile and reload, so settings, stamps and day log all come from that profile
+     * Changes still on their way to the local server are sent first, the reload would abort them
+     */
+    async switchProfile(id) {
+        if (id === ProfileManager.getActiveId()) {
+            return;
+        }
+        
+        await this.serverStorage.flush();
+        ProfileManager.setActive(id);
+        window.location.reload();
+    }
+
+    /**
+     * Rename the active profile, an empty name is only allowed for the default profile
+     */
+    renameProfile() {
+        const active = ProfileManager.getActive();
+        const name = this.profileNameInput.value.trim();
+        if (name || active.id === ProfileManager.defaultId) {
+            ProfileManager.rename(active.id, name);
+        }
+        
+        this.profileNameInput.blur();
+        this.renderProfiles();
+    }
+
+    /**
+     * Add a profile and switch to it
+     * The new profile starts with default settings but keeps the theme and language in use
+     */
+    async createProfile() {
+        const name = this.profileNewNameInput.value.trim();
+        if (!name) {
+            this.profileNewNameInput.focus();
+            return;
+        }
+        
+        const profile = ProfileManager.create(name);
+        const { theme, language } = this.configManager.getConfig();
+        try {
+            localStorage.setItem(SettingsSchema.getStorageKey(profile.id), JSON.stringify({ schemaVersion: SettingsSchema.version, theme, language }));
+        } catch (error) {
+            console.error('Failed to save settings of the new profile:', error);
+        }
+        
+        await this.switchProfile(profile.id);
+    }
+
+    /**
+     * Delete the active profile with its settings and day log, then go back to the default profile
+     */
+    async deleteProfile() {
+        const active = ProfileManager.getActive();
+        if (active.id === ProfileManager.defaultId || !window.confirm(`${this.getProfileName(active)}: ${this.translationManager.get('profileDeleteConfirm')}`)) {
+            return;
+        }
+        
+        // Die Datenbank lässt sich erst löschen, wenn sie nicht mehr offen ist
+        if (this.dayLogManager.db) {
+            this.dayLogManager.db.close();
+        }
+        ProfileManager.remove(active.id);
+        await this.serverStorage.deleteProfile(active.id);
+        await this.serverStorage.flush();
+        window.location.reload();
+    }
+
+    /**
+     * Download all app data as one JSON file
+     */
+    downloadBackup() {
+        const backup = this.backupManager.createBackup();
+        this.downloadFile(JSON.stringify(backup, null, 2), `feierabend-backup-${DayLogManager.getDateKey(new Date())}.json`, 'application/json');
+    }
+
+    /**
+     * Read and validate the selected backup file, then show what it contains
+     */
+    async handleBackupFile() {
+        const file = this.backupFileInput.files[0];
+        this.pendingBackup = null;
+        this.backupRestorePanel.classList.add('hidden');
+        if (!file) {
+            return;
+        }
+        
+        let backup = null;
+        try {
+            backup = JSON.parse(await file.text());
+        } catch (error) {
+            console.warn('Failed to read backup file:', error);
+        }
+        
+        const problem = BackupManager.validate(backup);
+        if (problem) {
+            this.showBackupMessage(this.translationManager.get(problem), true);
+            this.backupFileInput.value = '';
+            return;
+        }
+        
+        const days = backup.data.days || [];
+        const missingDays = days.filter(day => !this.dayLogManager.getDay(day.date)).length;
+        const locale = this.translationManager.currentLanguage === 'de' ? 'de-DE' : 'en-US';
+        const exportedAt = backup.exportedAt ? new Date(backup.exportedAt) : null;
+        const dateText = exportedAt && !isNaN(exportedAt) ? exportedAt.toLocaleDateString(locale) : '–';
+        
+        this.pendingBackup = backup;
+        this.backupSummary.textContent = `${this.translationManager.get('backupFrom')} ${dateText} · ${this.translationManager.get('backupDays')}: ${days.length} · ${this.translationManager.get('backupMissingDays')}: ${missingDays}`;
+        this.backupMessage.classList.add('hidden');
+        this.backupRestorePanel.classList.remove('hidden');
+    }
+
+    /**
+     * Restore the selected backup and reload, so every part of the app starts from the restored data
+     */
+    async restoreBackup() {
+        if (!this.pendingBackup) {
+            return;
+        }
+        
+        await this.backupManager.restore(this.pendingBackup, this.backupModeSelect.value);
         
-        // Theme handling - segmented control
-        this.themeSegmentBtns.forEach(btn => {
-            btn.addEventListener('click', () => {
-                const themeValue = btn.getAttribute('data-theme');
-                if (themeValue) {
-                    this.themeHiddenInput.value = themeValue;
-                    this.themeManager.setTheme(themeValue);
-                    this.updateActiveThemeButton(themeValue);
-                }
-            });
+        // Nach dem Neuladen gelten die Daten des Servers, sie müssen vorher dort angekommen sein
+        await this.serverStorage.flush();
+        window.location.reload();
+    }
+
+    /**
+     * Show a message below the backup controls
+     */
+    showBackupMessage(text, isError = false) {
+        this.backupMessage.textContent = text;
+        this.backupMessage.classList.toggle('warning-text', isError);
+        this.backupMessage.classList.remove('hidden');
+    }
+
+    /**
+     * Show the results for an absence day instead of a working day
+     */
+    showAbsenceResults(entry, currentOvertimeBalance) {
+        this.clearPartialResults();
+        this.renderBreakSummary(null, 0);
+        this.breakOptionContainer.classList.add('hidden');
+        
+        this.renderFlexLimits(currentOvertimeBalance + entry.todayBalance);
+        this.updateResults({
+            workingHours: entry.workingHours,
+            targetHours: entry.targetHours,
+            todayBalance: entry.todayBalance,
+            newTotalBalance: currentOvertimeBalance + entry.todayBalance,
+            suggestedEndTime: null
         });
+    }
+
+    /**
+     * Delete a day from the log and update the carried-over balance
+     */
+    deleteDayLogEntry(date) {
+        this.dayLogManager.deleteDay(date);
+        this.updateCarriedBalance();
+        this.renderDayLog();
+        this.calculateTime();
+    }
+
+    /**
+     * Render the list of logged days
+     */
+    renderDayLog() {
+        const entries = this.dayLogManager.getEntries();
+        this.dayLogList.innerHTML = '';
+        this.dayLogEmpty.classList.toggle('hidden', entries.length > 0);
         
-        // Language handling - segmented control
-        this.languageSegmentBtns.forEach(btn => {
-            btn.addEventListener('click', () => {
-                const langValue = btn.getAttribute('data-lang');
-                if (langValue) {
-                    this.languageHiddenInput.value = langValue;
-                    this.updateLanguage(langValue);
-                    this.updateActiveLanguageButton(langValue);
-                }
+        const locale = this.translationManager.currentLanguage === 'de' ? 'de-DE' : 'en-US';
+        const today = DayLogManager.getDateKey(new Date());
+        entries.forEach(entry => {
+            const [year, month, day] = entry.date.split('-').map(Number);
+            const dateLabel = new Date(year, month - 1, day).toLocaleDateString(locale, {
+                weekday: 'short', day: '2-digit', month: '2-digit', year: 'numeric'
             });
+            
+            const isAbsence = DayLogManager.isAbsence(entry);
+            const description = isAbsence
+                ? this.translationManager.get(DayLogManager.absenceTypes[entry.type].labelKey)
+                : this.formatIntervals(entry);
+            
+            const row = document.createElement('li');
+            row.className = 'day-log-item';
+            row.classList.toggle('absence', isAbsence);
+            row.classList.toggle('planned', entry.date > today);
+            row.classList.toggle('corrected', entry.corrected === true);
+            row.innerHTML = `
+                <span class="day-log-date">${dateLabel}</span>
+                <span class="day-log-times">${this.escapeHtml(description)}${entry.corrected ? ` <span class="day-log-corrected" title="${this.translationManager.get('dayCorrectedHint')}">${this.translationManager.get('dayCorrected')}</span>` : ''}</span>
+                <span class="day-log-hours">${this.formatHours(entry.workingHours)}</span>
+                <span class="day-log-balance ${entry.todayBalance >= 0 ? 'positive' : 'negative'}">${entry.todayBalance >= 0 ? '+' : ''}${this.formatHours(entry.todayBalance)}</span>
+                <button type="button" class="day-log-delete" data-delete-date="${entry.date}" title="${this.translationManager.get('deleteEntry')}">&times;</button>
+            `;
+            this.dayLogList.appendChild(row);
         });
         
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && !this.configModal.classList.contains('hidden')) {
-                this.closeConfigModal();
+        this.renderOpenDayPrompt();
+        this.renderPlanner();
+    }
+
+    /**
+     * Pin a day in the week planner to the given times, or release it with null
+     */
+    setPlannerPin(date, pin) {
+        const weekStart = DayLogManager.getDateKey(WeekPlanner.getWeekStart(new Date()));
+        const pins = {};
+        
+        // Pins of past weeks are no longer needed
+        Object.entries(this.configManager.getConfig().plannerPins || {}).forEach(([key, value]) => {
+            if (key >= weekStart) {
+                pins[key] = value;
             }
         });
+        
+        if (pin && pin.start && pin.end) {
+            pins[date] = pin;
+        } else {
+            delete pins[date];
+        }
+        
+        this.configManager.updateConfig({ plannerPins: pins });
+        this.renderPlanner();
     }
 
     /**
-     * Handle input changes for real-time calculation
+     * Render the rest-of-week plan
      */
-    handleInputChange() {
-        this.calculateTime();
+    renderPlanner() {
+        // Don't rebuild the list while the user is editing it
+        if (this.plannerList.contains(document.activeElement) && document.activeElement.type === 'time') {
+            return;
+        }
+        
+        const config = this.configManager.getConfig();
+        const workday = this.createWorkday(config);
+        const plan = this.weekPlanner.plan(new Date(), {
+            pins: config.plannerPins || {},
+            todayStart: this.getWorkDate() === DayLogManager.getDateKey(new Date()) ? this.startTimeInput.value : '',
+            defaultStart: this.dayLogManager.getTypicalTime('startTime') || '08:00',
+            getBreakForWork: workMinutes => workday.getEffectiveBreakDuration(workMinutes),
+            getBreakForPresence: presenceMinutes => workday.getBreakDeduction(presenceMinutes)
+        });
+        
+        let summary = `${this.translationManager.get('plannerWeekTarget')}: ${this.formatHours(plan.weekTarget)} · ${this.translationManager.get('plannerDone')}: ${this.formatHours(plan.doneHours)} · ${this.translationManager.get('plannerRemaining')}: ${this.formatHours(plan.remainingHours)}`;
+        if (plan.unplannedHours > 0.01) {
+            summary += ` · ${this.translationManager.get('plannerUnreachable')}: ${this.formatHours(plan.unplannedHours)}`;
+        } else if (plan.unplannedHours < -0.01) {
+            summary += ` · ${this.translationManager.get('plannerExtra')}: ${this.formatHours(-plan.unplannedHours)}`;
+        }
+        this.plannerSummary.textContent = summary;
+        this.plannerSummary.classList.toggle('warning-text', Math.abs(plan.unplannedHours) > 0.01);
+        
+        const locale = this.translationManager.currentLanguage === 'de' ? 'de-DE' : 'en-US';
+        this.plannerList.innerHTML = '';
+        plan.days.forEach(day => {
+            const [year, month, date] = day.date.split('-').map(Number);
+            const dateLabel = new Date(year, month - 1, date).toLocaleDateString(locale, {
+                weekday: 'short', day: '2-digit', month: '2-digit'
+            });
+            
+            const row = document.createElement('li');
+            row.className = 'planner-item';
+            row.classList.toggle('pinned', day.pinned);
+            row.setAttribute('data-date', day.date);
+            row.innerHTML = `
+                <span class="planner-date">${dateLabel}</span>
+                <input type="time" class="input planner-start" aria-label="${this.translationManager.get('startTime')}">
+                <span class="break-separator">–</span>
+                <input type="time" class="input planner-end" aria-label="${this.translationManager.get('endTime')}">
+                <span class="planner-hours">${this.formatHours(day.workMinutes / 60)}</span>
+                <label class="planner-pin" title="${this.translationManager.get('pinDay')}">
+                    <input type="checkbox" data-planner-pin ${day.pinned ? 'checked' : ''}>
+                    <i class="fas fa-thumbtack"></i>
+                </label>
+            `;
+            row.querySelector('.planner-start').value = day.start;
+            row.querySelector('.planner-end').value = day.end;
+            this.plannerList.appendChild(row);
+        });
     }
 
     /**
@@ -526,6 +3316,63 @@ class FlexibleTimeCalculator {
             }
         }
         
+        // Load core time
+        const coreTimeDays = this.configManager.getCoreTimeDays();
+        this.coreTimeToggle.checked = !!(config.coreTime && config.coreTime.enabled);
+        this.coreTimeStartInputs.forEach(input => {
+            const day = coreTimeDays[Number(input.getAttribute('data-weekday'))];
+            input.value = day ? day.start : '';
+        });
+        this.coreTimeEndInputs.forEach(input => {
+            const day = coreTimeDays[Number(input.getAttribute('data-weekday'))];
+            input.value = day ? day.end : '';
+        });
+        
+        // Load flex account limits
+        const flexLimits = this.configManager.getFlexLimits();
+        this.flexUpperLimitInput.value = flexLimits.upper !== null ? flexLimits.upper : '';
+        this.flexLowerLimitInput.value = flexLimits.lower !== null ? flexLimits.lower : '';
+        
+        // Load working time limits
+        const compliance = config.compliance || this.configManager.defaultConfig.compliance;
+        this.maxDailyHoursInput.value = compliance.maxDailyHours;
+        
+        // Load weekly schedule
+        const scheduleHours = this.configManager.getScheduleHours();
+        this.weeklyScheduleToggle.checked = !!(config.weeklySchedule && config.weeklySchedule.enabled);
+        this.weekdayHoursInputs.forEach(input => {
+            input.value = scheduleHours[Number(input.getAttribute('data-weekday'))];
+        });
+        
+        // Load public holiday settings
+        const holidays = config.holidays || this.configManager.defaultConfig.holidays;
+        this.holidayStateSelect.value = holidays.state;
+        this.christmasEveSelect.value = String(holidays.christmasEve);
+        this.newYearsEveSelect.value = String(holidays.newYearsEve);
+        
+        // Load leave goal
+        const leaveGoal = config.leaveGoal || this.configManager.defaultConfig.leaveGoal;
+        this.leaveGoalSelect.value = leaveGoal.mode;
+        this.leaveGoalHoursInput.value = leaveGoal.bankHours;
+        this.leaveGoalTimeInput.value = leaveGoal.fixedTime;
+        this.updateLeaveGoalInputs();
+        
+        // Load time rounding
+        const rounding = config.rounding || this.configManager.defaultConfig.rounding;
+        this.roundingToggle.checked = !!rounding.enabled;
+        this.roundingUnitSelect.value = String(rounding.unit);
+        this.roundingStartSelect.value = rounding.startDirection;
+        this.roundingEndSelect.value = rounding.endDirection;
+        this.roundingGraceInput.value = rounding.graceMinutes;
+        
+        // Load break rules
+        const breakRules = config.breakRules || this.configManager.defaultConfig.breakRules;
+        const presetInput = document.querySelector(`input[name="breakRulePreset"][value="${breakRules.preset}"]`);
+        if (presetInput) {
+            presetInput.checked = true;
+        }
+        this.renderBreakRules(breakRules);
+        
         // Load theme
         const theme = this.themeManager.getTheme();
         this.themeHiddenInput.value = theme;
@@ -540,7 +3387,7 @@ class FlexibleTimeCalculator {
         this.updateCustomInputsState();
         
         // Show target hours immediately
-        this.targetDisplay.textContent = this.formatHours(config.targetHours);
+        this.targetDisplay.textContent = this.formatHours(this.getTargetHours());
     }
 
     /**
@@ -571,20 +3418,187 @@ class FlexibleTimeCalculator {
             }
         }
         
+        // Get core time, a weekday without start or end has no core time
+        const coreTimeDays = [null, null, null, null, null, null, null];
+        this.coreTimeStartInputs.forEach(input => {
+            const weekday = Number(input.getAttribute('data-weekday'));
+            const endInput = document.querySelector(`.core-time-end[data-weekday="${weekday}"]`);
+            if (input.value && endInput.value && input.value < endInput.value) {
+                coreTimeDays[weekday] = { start: input.value, end: endInput.value };
+            }
+        });
+        config.coreTime = {
+            enabled: this.coreTimeToggle.checked,
+            days: coreTimeDays
+        };
+        
+        // Get flex account limits, an empty field means no limit
+        const flexUpper = parseFloat(this.flexUpperLimitInput.value);
+        const flexLower = parseFloat(this.flexLowerLimitInput.value);
+        config.flexLimits = {
+            upper: !isNaN(flexUpper) && flexUpper >= 0 ? flexUpper : null,
+            lower: !isNaN(flexLower) && flexLower <= 0 ? flexLower : null
+        };
+        
+        // Get working time limits
+        const maxDailyHours = parseFloat(this.maxDailyHoursInput.value);
+        config.compliance = {
+            ...this.configManager.getConfig().compliance,
+            maxDailyHours: !isNaN(maxDailyHours) && maxDailyHours > 0 && maxDailyHours <= 24 ? maxDailyHours : this.configManager.defaultConfig.compliance.maxDailyHours
+        };
+        
+        // Get weekly schedule
+        const scheduleHours = this.configManager.getScheduleHours();
+        this.weekdayHoursInputs.forEach(input => {
+            const hours = parseFloat(input.value);
+            if (!isNaN(hours) && hours >= 0 && hours <= 24) {
+                scheduleHours[Number(input.getAttribute('data-weekday'))] = hours;
+            }
+        });
+        // While disabled, keep the schedule seeded from the daily target instead of freezing it
+        config.weeklySchedule = {
+            enabled: this.weeklyScheduleToggle.checked,
+            hours: this.weeklyScheduleToggle.checked ? scheduleHours : this.configManager.getConfig().weeklySchedule.hours
+        };
+        
+        // Get public holiday settings
+        config.holidays = {
+            state: this.holidayStateSelect.value,
+            christmasEve: parseFloat(this.christmasEveSelect.value),
+            newYearsEve: parseFloat(this.newYearsEveSelect.value)
+        };
+        
+        // Get time rounding
+        const graceMinutes = parseInt(this.roundingGraceInput.value);
+        config.rounding = {
+            enabled: this.roundingToggle.checked,
+            unit: parseInt(this.roundingUnitSelect.value),
+            startDirection: this.roundingStartSelect.value,
+            endDirection: this.roundingEndSelect.value,
+            graceMinutes: !isNaN(graceMinutes) && graceMinutes >= 0 ? graceMinutes : 0
+        };
+        
+        // Get break rules
+        const breakRulePresetInput = document.querySelector('input[name="breakRulePreset"]:checked');
+        if (breakRulePresetInput) {
+            const previousRules = this.configManager.getConfig().breakRules;
+            config.breakRules = {
+                preset: breakRulePresetInput.value,
+                // Only read the editor while it shows the custom rules, otherwise keep them untouched
+                custom: previousRules.preset === 'custom' ? this.readCustomBreakRules() : previousRules.custom
+            };
+        }
+        
         // Save configuration
         this.configManager.updateConfig(config);
         
+        // Refresh the weekday inputs unless the user is typing in them
+        if (!Array.from(this.weekdayHoursInputs).includes(document.activeElement)) {
+            const savedHours = this.configManager.getScheduleHours();
+            this.weekdayHoursInputs.forEach(input => {
+                input.value = savedHours[Number(input.getAttribute('data-weekday'))];
+            });
+        }
+        
+        // Re-render the rule editor when the preset changed
+        if (config.breakRules) {
+            this.renderBreakRules(config.breakRules, document.activeElement);
+        }
+        
         // Update custom inputs state
         this.updateCustomInputsState();
         
         // Recalculate with new settings
         this.calculateTime();
+        this.renderPlanner();
+    }
+
+    /**
+     * Render the break rules of the active preset
+     * Rules are only editable in custom mode
+     */
+    renderBreakRules(breakRules, focusedElement = null) {
+        // Don't rebuild the list while the user is typing in it
+        if (focusedElement && this.breakRulesList.contains(focusedElement)) {
+            return;
+        }
+        
+        const isCustom = breakRules.preset === 'custom';
+        const rules = BreakRuleEngine.getRules(breakRules);
+        
+        this.breakRulesList.innerHTML = '';
+        rules.forEach(rule => this.breakRulesList.appendChild(this.createBreakRuleRow(rule, isCustom)));
+        this.breakRuleAddBtn.classList.toggle('hidden', !isCustom);
+    }
+    
+    /**
+     * Create a row of the break rule editor
+     */
+    createBreakRuleRow(rule, editable) {
+        const row = document.createElement('li');
+        row.className = 'break-rule-item';
+        row.innerHTML = `
+            <span data-i18n="breakRuleAfter">${this.translationManager.get('breakRuleAfter')}</span>
+            <input type="number" class="config-custom-input break-rule-hours" min="0" max="24" step="0.25" value="${rule.afterHours}">
+            <span data-i18n="breakRuleHoursBreak">${this.translationManager.get('breakRuleHoursBreak')}</span>
+            <input type="number" class="config-custom-input break-rule-minutes" min="0" max="480" step="5" value="${rule.minBreak}">
+            <span data-i18n="minutes">${this.translationManager.get('minutes')}</span>
+            <button type="button" class="break-rule-remove" data-remove-rule title="${this.translationManager.get('deleteEntry')}">&times;</button>
+        `;
+        
+        row.querySelectorAll('input').forEach(input => {
+            input.disabled = !editable;
+        });
+        row.querySelector('[data-remove-rule]').classList.toggle('hidden', !editable);
+        
+        return row;
+    }
+    
+    /**
+     * Add an empty custom break rule
+     */
+    addCustomBreakRule() {
+        const rules = this.readCustomBreakRules();
+        const lastRule = rules[rules.length - 1];
+        const newRule = lastRule
+            ? { afterHours: lastRule.afterHours + 3, minBreak: lastRule.minBreak + 15 }
+            : { afterHours: 6, minBreak: 30 };
+        
+        this.breakRulesList.appendChild(this.createBreakRuleRow(newRule, true));
+        this.saveCurrentConfig();
+    }
+    
+    /**
+     * Read custom break rules from the editor
+     */
+    readCustomBreakRules() {
+        return Array.from(this.breakRulesList.querySelectorAll('.break-rule-item'))
+            .map(row => ({
+                afterHours: parseFloat(row.querySelector('.break-rule-hours').value),
+                minBreak: parseInt(row.querySelector('.break-rule-minutes').value)
+            }))
+            .filter(rule => !isNaN(rule.afterHours) && !isNaN(rule.minBreak));
     }
 
     /**
      * Update custom inputs enabled/disabled state
      */
     updateCustomInputsState() {
+        // Weekday inputs are only used with an enabled weekly schedule
+        this.weekdayHoursInputs.forEach(input => {
+            input.disabled = !this.weeklyScheduleToggle.checked;
+        });
+        
+        // Rounding inputs are only used with enabled rounding
+        [this.roundingUnitSelect, this.roundingStartSelect, this.roundingEndSelect, this.roundingGraceInput].forEach(input => {
+            input.disabled = !this.roundingToggle.checked;
+        });
+        
+        // Core time inputs are only used with enabled core time
+        [...this.coreTimeStartInputs, ...this.coreTimeEndInputs].forEach(input => {
+            input.disabled = !this.coreTimeToggle.checked;
+        });
+        
         // Target hours custom input
         const customTargetChecked = document.getElementById('config-target-custom')?.checked;
         this.customHoursInput.disabled = !customTargetChecked;
@@ -643,12 +3657,16 @@ class FlexibleTimeCalculator {
         try {
             console.log('Starting application initialization');
             
+            // 0. Übernimm die Einstellungen vom lokalen Server, falls die App über ihn läuft
+            await this.syncConfigWithServer();
+            
             // 1. Hole die aktuelle Konfiguration
             const config = this.configManager.getConfig();
             console.log('Initial config loaded:', config);
             
-            // 2. Lade die Übersetzungen
+            // 2. Lade die Übersetzungen und das Tagesprotokoll
             await this.translationManager.loadTranslations();
+            await this.dayLogManager.init();
             
             // 3. Setze die Sprache explizit (auch wenn sie schon im loadTranslations gesetzt wurde)
             console.log('Setting language explicitly to:', config.language);
@@ -664,16 +3682,28 @@ class FlexibleTimeCalculator {
             console.log('Applying translations with language:', this.translationManager.currentLanguage);
             this.applyTranslations();
             
-            // 7. Setze aktuelle Zeit als Endzeit
-            this.setCurrentTimeAsEndTime();
+            // 7. Übernimm den Saldo der Vortage und den heutigen Eintrag aus dem Protokoll
+            this.restoreStampState();
+            this.loadDayIntoForm(this.getWorkDate());
+            this.updateCarriedBalance();
+            this.csvMonthInput.value = this.getWorkDate().slice(0, 7);
+            this.renderDayLog();
+            
+            // 8. Setze aktuelle Zeit als Endzeit
+            if (this.endTimeInput.getAttribute('data-manual-input') !== 'true') {
+                this.setCurrentTimeAsEndTime();
+            }
             
-            // 8. Berechne die Zeit
+            // 9. Berechne die Zeit
             this.calculateTime();
             
-            // 9. Richte Auto-Update für Endzeit ein
+            // 10. Richte Auto-Update für Endzeit ein
             this.setupEndTimeUpdater();
             
-            // 10. Wende die Übersetzungen nochmal an, um sicherzustellen, dass alles übersetzt ist
+            // 11. Offline-Betrieb und Hinweis auf neue Versionen
+            this.serviceWorkerManager.register();
+            
+            // 12. Wende die Übersetzungen nochmal an, um sicherzustellen, dass alles übersetzt ist
             // Manchmal werden DOM-Elemente erst später verfügbar
             setTimeout(() => {
                 console.log('Applying translations again after delay');
@@ -686,6 +3716,35 @@ class FlexibleTimeCalculator {
         }
     }
     
+    /**
+     * Take the settings from the local server if the app runs on it
+     * The newer settings win by updatedAt; the server gets the ones of this browser if they are newer or it has none yet.
+     */
+    async syncConfigWithServer() {
+        if (!(await this.serverStorage.connect())) {
+            return;
+        }
+        
+        const serverConfig = await this.serverStorage.loadConfig();
+        const localConfig = this.configManager.getConfig();
+        
+        // Settings changed here while the server was not running are newer and go to the server
+        if (!serverConfig || ServerStorage.isNewerConfig(localConfig, serverConfig)) {
+            this.serverStorage.saveConfig(localConfig);
+            return;
+        }
+        
+        // Über localStorage, damit die Countdown-Seite dieselben Einstellungen sieht
+        try {
+            localStorage.setItem(SettingsSchema.storageKey, JSON.stringify(serverConfig));
+        } catch (error) {
+            console.error('Failed to store the settings from the local server:', error);
+        }
+        this.configManager.loadConfig();
+        this.themeManager.loadTheme();
+        this.themeManager.applyTheme();
+    }
+
     /**
      * Update language
      */
@@ -698,6 +3757,7 @@ class FlexibleTimeCalculator {
         // Set language in translation manager and update UI
         this.translationManager.setLanguage(language);
         this.applyTranslations();
+        this.renderDayLog();
         
         console.log(`Language changed to: ${language}`);
     }
@@ -765,6 +3825,12 @@ class FlexibleTimeCalculator {
                 configBtn.setAttribute('title', this.translationManager.get('settings'));
             }
             
+            // Stamp status and pause label depend on the current stamp
+            this.renderStampControls();
+            
+            // The default profile name is translated
+            this.renderProfiles();
+            
             // Erzeuge ein Event, um andere Komponenten zu informieren, dass Übersetzungen angewendet wurden
             document.dispatchEvent(new CustomEvent('translationsApplied', { 
                 detail: { language: this.translationManager.currentLanguage }
@@ -776,220 +3842,195 @@ class FlexibleTimeCalculator {
 
     /**
      * Calculate working time and overtime
+     * The numbers come from the workday engine, this method only reads the form and renders the result
      */
     calculateTime() {
-        const startTime = this.startTimeInput.value;
-        const endTime = this.endTimeInput.value;
-        const currentOvertimeBalance = parseFloat(this.overtimeBalanceInput.value) || 0;
-        
-        // Get current configuration
         const config = this.configManager.getConfig();
+        const currentOvertimeBalance = parseFloat(this.overtimeBalanceInput.value) || 0;
+        const targetHours = this.getTargetHours();
         
-        // Always show target hours from configuration
-        this.targetDisplay.textContent = this.formatHours(config.targetHours);
-        
-        // Calculate suggested end time if start time is provided
-        if (startTime) {
-            const start = this.parseTime(startTime);
-            if (start) {
-                const now = new Date();
-                const targetMinutes = config.targetHours * 60;
-                
-                // Determine if break should be included
-                let breakDuration = 0;
-                
-                // Only include break duration if the target time is actually longer than the break
-                if (config.targetHours * 60 >= config.breakDuration) {
-                    if (config.targetHours >= 6) {
-                        // For target >= 6 hours, include break
-                        breakDuration = config.breakDuration;
-                    } else if (this.forceBreakCheckbox && this.forceBreakCheckbox.checked) {
-                        // For target < 6 hours, include break only if checkbox is checked
-                        breakDuration = config.breakDuration;
-                    }
-                }
-                
-                let suggestedEndTime = new Date(start.getTime() + (targetMinutes + breakDuration) * 60 * 1000);
-                
-                // Entferne die Plausibilitätsprüfung, damit die Endzeit immer korrekt berechnet wird
-                // Wir möchten immer die korrekte voraussichtliche Arbeitszeit anzeigen, auch für zukünftige Starts
-                
-                this.suggestedEndTimeDisplay.textContent = this.formatTime(suggestedEndTime);
-                
-                // Show/hide break option based on target working time
-                if (config.targetHours < 6) {
-                    this.breakOptionContainer.classList.remove('hidden');
-                } else {
-                    this.breakOptionContainer.classList.add('hidden');
-                }
-            } else {
-                this.suggestedEndTimeDisplay.textContent = '--:--';
-            }
-        } else {
-            this.suggestedEndTimeDisplay.textContent = '--:--';
-            this.breakOptionContainer.classList.add('hidden');
-        }
+        // Always show today's target hours from configuration
+        this.targetDisplay.textContent = this.formatHours(targetHours);
+        this.renderDayInfo();
+        this.roundingInfoDisplay.classList.add('hidden');
+        this.goalResultDisplay.classList.add('hidden');
+        this.overnightHint.classList.add('hidden');
         
-        // If both start and end time are provided, calculate everything
-        if (!startTime || !endTime) {
-            this.clearPartialResults();
+        // An absence day replaces the working time calculation
+        const todayEntry = this.dayLogManager.getDay(this.getWorkDate());
+        if (DayLogManager.isAbsence(todayEntry)) {
+            this.coreTimeInfoDisplay.classList.add('hidden');
+            this.renderCompliance([], null);
+            this.showAbsenceResults(todayEntry, currentOvertimeBalance);
+            this.scheduleAlerts(null);
             return;
         }
         
-        // Parse times
-        const start = this.parseTime(startTime);
-        const end = this.parseTime(endTime);
-        const currentTime = new Date();
+        const startTime = this.startTimeInput.value;
+        this.renderCoreTimeInfo(startTime ? this.parseTime(startTime) : null);
+        
+        const result = this.createWorkday(config).compute(this.getWorkdayInput(targetHours, currentOvertimeBalance));
+        this.suggestedEndTimeDisplay.textContent = result.suggestedEndTime ? this.formatTime(result.suggestedEndTime) : '--:--';
+        this.breakOptionContainer.classList.toggle('hidden', !result.breakOptional);
+        this.renderGoalResult(result.goalResult);
         
-        if (!start || !end) {
-            this.clearPartialResults();
+        // Start in the future and no end yet: nothing worked, only the end is estimated
+        if (result.status === 'estimate') {
+            this.renderBreakSummary(null, 0);
+            this.renderCompliance([], null);
+            this.renderFlexLimits(null);
+            this.updateResults(result);
+            this.scheduleAlerts(result);
             return;
         }
         
-        // Check if start time is in the future
-        const startIsInFuture = start > currentTime;
-        
-        // Special case: If start and end are exactly the same AND in the future
-        // then we're just estimating the end time, not calculating actual work done
-        if (startIsInFuture && start.getTime() === end.getTime()) {
-            // Calculate suggested end time based on target hours and break
-            const targetMinutes = config.targetHours * 60;
-            let suggestedEndTime = new Date(start.getTime() + (targetMinutes + this.getEffectiveBreakDuration(config)) * 60 * 1000);
-            
-            this.updateResults({
-                workingHours: 0,
-                targetHours: config.targetHours,
-                todayBalance: -config.targetHours,
-                newTotalBalance: currentOvertimeBalance - config.targetHours,
-                suggestedEndTime: suggestedEndTime
-            });
+        // Without start and end there is nothing to calculate; an end before the start is not guessed to be the next day
+        if (result.status !== 'complete') {
+            this.overnightHint.classList.toggle('hidden', result.status !== 'endBeforeStart');
+            this.clearPartialResults();
+            this.renderBreakSummary(null, 0);
+            this.renderCompliance([], null);
+            this.renderFlexLimits(null);
+            this.scheduleAlerts(null);
             return;
         }
         
-        // If the user has explicitly set different start and end times,
-        // we calculate the hours as normal, even if they're in the future
-        // This allows planning future work days
-        
-        // Handle overnight shifts
-        if (end <= start) {
-            end.setDate(end.getDate() + 1);
+        this.renderBreakSummary(result.loggedBreakMinutes, result.topUpMinutes);
+        if (TimeRounding.fromConfig(config).enabled) {
+            this.renderRoundingInfo(result.rawWorkingHours, result.workingHours);
         }
+        this.renderFlexLimits(result.newTotalBalance, result.leaveTimes);
         
-        // Calculate total minutes worked
-        const totalMinutes = (end - start) / (1000 * 60);
-        
-        // Determine if break should be applied
-        const totalHours = totalMinutes / 60;
-        let applyBreak = false;
-        
-        // Show/hide break option based on working time
-        if (totalHours < 6) {
-            // For less than 6 hours, break is optional
-            this.breakOptionContainer.classList.remove('hidden');
-            applyBreak = this.forceBreakCheckbox && this.forceBreakCheckbox.checked;
-        } else {
-            // For 6+ hours, break is mandatory
-            this.breakOptionContainer.classList.add('hidden');
-            applyBreak = true;
-        }
+        // Check the legal working time limits, including the latest end before the daily maximum
+        const warnings = ComplianceChecker.fromConfig(config).check({
+            date: DayLogManager.toDate(this.getWorkDate()),
+            start: result.rawSegments[0].start,
+            workingHours: result.rawWorkingHours
+        }, this.dayLogManager.getEntries());
+        this.renderCompliance(warnings, result.limitEndTime);
         
-        // Calculate working hours (excluding break if applicable)
-        let workingMinutes = totalMinutes;
-        let effectiveBreakDuration = 0;
+        this.updateResults(result);
+        this.scheduleAlerts(result);
         
-        if (applyBreak) {
-            // Ensure we never subtract more break time than the total worked time
-            // This prevents negative working hours or unexpected day additions
-            effectiveBreakDuration = Math.min(totalMinutes, config.breakDuration);
-            
-            // Only subtract break if it's actually being applied
-            if (effectiveBreakDuration > 0) {
-                workingMinutes -= effectiveBreakDuration;
-            }
+        // Persist today's state so the balance carries over to tomorrow
+        this.logCurrentDay(result);
+    }
+
+    /**
+     * Schedule the end-of-work alerts while the day is still running, cancel them once it has ended
+     * Like when stamping, an entered end time closes the day unless a work interval is still open
+     */
+    scheduleAlerts(result) {
+        const dayClosed = this.endTimeInput.getAttribute('data-manual-input') === 'true' && !this.hasOpenSegment();
+        const running = result !== null && this.isLiveWorkDate() && (!dayClosed || this.stampManager.getStatus() !== 'out');
+        const alerts = running ?
+            NotificationScheduler.createAlerts(result.suggestedEndTime, result.limitEndTime || null, key => this.translationManager.get(key)) :
+            [];
+        this.notificationScheduler.schedule(alerts);
+    }
+
+    /**
+     * Create the workday engine with the options set in the form and by the stamp clock
+     */
+    createWorkday(config = this.configManager.getConfig()) {
+        return new WorkdayCalculator(config, {
+            forceBreak: this.forceBreakCheckbox && this.forceBreakCheckbox.checked,
+            onBreak: this.stampManager.getStatus() === 'break'
+        });
+    }
+
+    /**
+     * Read the day from the form as input for the workday engine
+     */
+    getWorkdayInput(targetHours = this.getTargetHours(), balance = parseFloat(this.overtimeBalanceInput.value) || 0) {
+        const coreTime = this.configManager.getCoreTimeForDate(DayLogManager.toDate(this.getWorkDate()));
+        return {
+            date: this.getWorkDate(),
+            startTime: this.startTimeInput.value,
+            endTime: this.endTimeInput.value,
+            overnight: this.overnightInput.checked,
+            segments: this.readSegmentRows(),
+            breaks: this.readBreakRows(),
+            targetHours,
+            balance,
+            leaveGoal: {
+                mode: this.leaveGoalSelect.value,
+                bankHours: parseFloat(this.leaveGoalHoursInput.value) || 0,
+                fixedTime: this.leaveGoalTimeInput.value
+            },
+            coreTimeEnd: coreTime ? coreTime.end : null
+        };
+    }
+
+    /**
+     * Show the balance that results from leaving at the fixed goal time
+     */
+    renderGoalResult(goalResult) {
+        if (!goalResult) {
+            this.goalResultDisplay.classList.add('hidden');
+            return;
         }
         
-        // Ensure working minutes is never negative
-        workingMinutes = Math.max(0, workingMinutes);
-        const workingHours = workingMinutes / 60;
-        
-        // Calculate balance for today
-        const targetHours = config.targetHours;
-        const todayBalance = workingHours - targetHours;
-        
-        // Calculate new total overtime balance
-        const newTotalBalance = currentOvertimeBalance + todayBalance;
-        
-        // Calculate suggested end time to reach target
-        const targetMinutes = targetHours * 60;
-        
-        // Get effective break duration
-        const breakDuration = this.getEffectiveBreakDuration(config);
-        
-        // Calculate suggested end time based on target hours and break
-        let suggestedEndTime = new Date(start.getTime() + (targetMinutes + breakDuration) * 60 * 1000);
-        
-        // Update display
-        this.updateResults({
-            workingHours,
-            targetHours,
-            todayBalance,
-            newTotalBalance,
-            suggestedEndTime
-        });
+        this.goalResultDisplay.textContent = `${this.translationManager.get('goalResultToday')}: ${this.formatHours(goalResult.todayBalance)} · ${this.translationManager.get('goalResultTotal')}: ${this.formatHours(goalResult.newTotalBalance)}`;
+        this.goalResultDisplay.classList.remove('hidden');
     }
 
     /**
-     * Calculate the effective break duration based on configuration and current form state
+     * Show the inputs and the suggestion label that belong to the selected leave goal
      */
-    getEffectiveBreakDuration(config) {
-        let breakDuration = 0;
+    updateLeaveGoalInputs() {
+        const goal = this.leaveGoalSelect.value;
+        this.leaveGoalHoursInput.classList.toggle('hidden', goal !== 'bank');
+        this.leaveGoalTimeInput.classList.toggle('hidden', goal !== 'fixedTime');
         
-        // Only include break duration if the target time is actually longer than the break
-        if (config.targetHours * 60 >= config.breakDuration) {
-            if (config.targetHours >= 6) {
-                // For target >= 6 hours, include break
-                breakDuration = config.breakDuration;
-            } else if (this.forceBreakCheckbox && this.forceBreakCheckbox.checked) {
-                // For target < 6 hours, include break only if checkbox is checked
-                breakDuration = config.breakDuration;
+        const labelKeys = {
+            target: 'suggestedEndTime',
+            zeroBalance: 'suggestedEndTimeZero',
+            bank: 'suggestedEndTimeBank',
+            fixedTime: 'suggestedEndTime'
+        };
+        const labelKey = labelKeys[goal] || 'suggestedEndTime';
+        this.suggestionLabel.setAttribute('data-i18n', labelKey);
+        this.suggestionLabel.textContent = this.translationManager.get(labelKey);
+    }
+
+    /**
+     * Remember the selected leave goal and recalculate
+     */
+    handleLeaveGoalChange() {
+        const bankHours = parseFloat(this.leaveGoalHoursInput.value);
+        this.configManager.updateConfig({
+            leaveGoal: {
+                mode: this.leaveGoalSelect.value,
+                bankHours: !isNaN(bankHours) ? bankHours : 1,
+                fixedTime: this.leaveGoalTimeInput.value
             }
-        }
+        });
         
-        return breakDuration;
+        this.updateLeaveGoalInputs();
+        this.calculateTime();
     }
-    
+
     /**
      * Parse time string to Date object
+     * The time is placed on the work date of the form unless another date key is given
      */
-    parseTime(timeString) {
-        const [hours, minutes] = timeString.split(':').map(Number);
-        if (isNaN(hours) || isNaN(minutes)) {
-            return null;
-        }
-        
-        const date = new Date();
-        date.setHours(hours, minutes, 0, 0);
-        return date;
+    parseTime(timeString, dateKey = this.getWorkDate()) {
+        return DayLogManager.toDate(dateKey, timeString);
     }
 
     /**
      * Format hours to HH:MM
      */
     formatHours(hours) {
-        const totalMinutes = Math.round(Math.abs(hours) * 60);
-        const h = Math.floor(totalMinutes / 60);
-        const m = totalMinutes % 60;
-        const sign = hours < 0 ? '-' : '';
-        return `${sign}${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}`;
+        return WorkdayCalculator.formatHours(hours);
     }
 
     /**
      * Format time to HH:MM
      */
     formatTime(date) {
-        const hours = date.getHours().toString().padStart(2, '0');
-        const minutes = date.getMinutes().toString().padStart(2, '0');
-        return `${hours}:${minutes}`;
+        return WorkdayCalculator.formatTime(date);
     }
     
     /**
@@ -999,6 +4040,15 @@ class FlexibleTimeCalculator {
         const now = new Date();
         const config = this.configManager.getConfig();
         
+        // Past midnight a running shift of yesterday ends on the next day
+        if (this.getWorkDate() !== DayLogManager.getDateKey(now)) {
+            if (this.isLiveWorkDate()) {
+                this.overnightInput.checked = true;
+                this.endTimeInput.value = this.formatTime(now);
+            }
+            return;
+        }
+        
         // Prüfe, ob Startzeit eingegeben wurde
         const startTime = this.startTimeInput.value;
         if (startTime) {
@@ -1006,8 +4056,8 @@ class FlexibleTimeCalculator {
             if (start) {
                 if (start > now) {
                     // Wenn Startzeit in der Zukunft liegt, setze voraussichtliche Endzeit basierend auf Zielarbeitszeit
-                    const targetMinutes = config.targetHours * 60;
-                    const breakDuration = this.getEffectiveBreakDuration(config);
+                    const targetMinutes = this.getTargetHours() * 60;
+                    const breakDuration = this.createWorkday(config).getEffectiveBreakDuration(targetMinutes);
                     
                     // Berechne voraussichtliche Endzeit (Startzeit + Zielarbeitszeit + Pause)
                     const estimatedEndTime = new Date(start.getTime() + (targetMinutes + breakDuration) * 60 * 1000);
@@ -1036,10 +4086,18 @@ class FlexibleTimeCalculator {
     setupEndTimeUpdater() {
         // Update end time every minute if the user hasn't manually changed it
         setInterval(() => {
+            // Past midnight yesterday's shift keeps running only up to the maximum shift length
+            if (this.closeStaleWorkDate()) {
+                return;
+            }
+            
             // Only update if no manual input was done (tracked by data attribute)
             if (this.endTimeInput.getAttribute('data-manual-input') !== 'true') {
                 this.setCurrentTimeAsEndTime();
                 this.calculateTime();
+            } else if (this.hasOpenSegment() || this.stampManager.getStatus() !== 'out') {
+                // The last work interval or a running pause lasts until now
+                this.calculateTime();
             }
         }, 60000); // Update every minute
     }
@@ -1082,8 +4140,8 @@ class FlexibleTimeCalculator {
             overtimeItem.classList.add('negative');
         }
         
-        // Suggested end time
-        this.suggestedEndTimeDisplay.textContent = this.formatTime(suggestedEndTime);
+        // Suggested end time (not available on absence days)
+        this.suggestedEndTimeDisplay.textContent = suggestedEndTime ? this.formatTime(suggestedEndTime) : '--:--';
     }
 
     /**
@@ -1153,8 +4211,8 @@ function showFileProtocolWarning() {
             'color: #ff9800;'
         );
         console.warn('%c1. Navigiere zum Projektordner in der Befehlszeile', 'color: #4caf50;');
-        console.warn('%c2. Führe aus: python3 -m http.server', 'color: #4caf50;');
-        console.warn('%c3. Öffne http://localhost:8000/src/ im Browser', 'color: #4caf50;');
+        console.warn('%c2. Führe aus: npm start', 'color: #4caf50;');
+        console.warn('%c3. Öffne http://localhost:8000/ im Browser', 'color: #4caf50;');
     }
 }
 
@@ -1217,6 +4275,12 @@ document.addEventListener('DOMContentLoaded', () => {
                     }
                 }
                 
+                // Späteste Endzeit vor der Höchstarbeitszeit für die Warnung im Countdown
+                const limitEndTime = document.getElementById('limit-end-time-value');
+                if (limitEndTime && !limitEndTime.closest('.hidden')) {
+                    url += `${url.includes('?') ? '&' : '?'}limit=${limitEndTime.textContent}`;
+                }
+                
                 // Öffne die Countdown-Seite
                 window.location.href = url;
             } else {
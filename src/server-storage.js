@@ -0,0 +1,169 @@
+/**
+ * Server Storage
+ * Talks to the optional local server (npm start), which keeps settings and day log of all devices in one file.
+ * Without the server every request does nothing and the app keeps using the browser storage only.
+ */
+class ServerStorage {
+    constructor(profileId = ProfileManager.getActiveId()) {
+        this.profileId = profileId;
+        this.available = false;
+        
+        // Requests run one after another, so clearing the day log cannot overtake the saves that follow
+        this.queue = Promise.resolve();
+    }
+
+    static get apiUrl() {
+        return '/api';
+    }
+
+    /**
+     * Whether a config was changed after another one
+     * Settings without updatedAt were saved by an older version and count as the oldest
+     */
+    static isNewerConfig(config, other) {
+        const changedAt = value => (value && Date.parse(value.updatedAt)) || 0;
+        return changedAt(config) > changedAt(other);
+    }
+
+    /**
+     * Merge the day log of this browser with the one on the server by date
+     * The server's entry wins for a date both have. Days only logged here (e.g. while the server was down) are kept,
+     * unless the server deleted the date after the day was last saved here: then another device deleted it.
+     * @param {Object} deleted Deletion times on the server by date
+     * @returns {{days: Array, upload: Array, removed: Array<string>}} All days oldest first, the days the server is missing
+     *   and the dates deleted on another device
+     */
+    static mergeDays(localDays, serverDays, deleted = {}) {
+        const days = {};
+        serverDays.forEach(day => {
+            days[day.date] = day;
+        });
+        
+        // Days saved by older versions have no updatedAt and count as older than any deletion
+        const isDeleted = day => Object.hasOwn(deleted, day.date) && !(Date.parse(day.updatedAt) > Date.parse(deleted[day.date]));
+        const localOnly = localDays.filter(day => !days[day.date]);
+        const upload = localOnly.filter(day => !isDeleted(day));
+        upload.forEach(day => {
+            days[day.date] = day;
+        });
+        
+        return {
+            days: Object.values(days).sort((a, b) => a.date.localeCompare(b.date)),
+            upload: upload.sort((a, b) => a.date.localeCompare(b.date)),
+            removed: localOnly.filter(isDeleted).map(day => day.date).sort()
+        };
+    }
+
+    /**
+     * Check whether the page is served by the local server
+     * @returns {Promise<boolean>} Whether the server is available
+     */
+    async connect() {
+        if (!window.location.protocol.startsWith('http') || !window.fetch) {
+            return false;
+        }
+        
+        try {
+            const response = await fetch(`${ServerStorage.apiUrl}/health`, {
+                cache: 'no-store',
+                signal: typeof AbortSignal !== 'undefined' && AbortSignal.timeout ? AbortSignal.timeout(3000) : undefined
+            });
+            const health = response.ok ? await response.json() : null;
+            this.available = !!health && health.app === 'feierabend';
+        } catch (error) {
+            this.available = false;
+        }
+        
+        if (this.available) {
+            console.log('Local server found, settings and day log are stored there');
+        }
+        return this.available;
+    }
+
+    /**
+     * Send a request to the API
+     * @returns {Promise<*>} The response body, or null if nothing is stored, the request failed or there is no server
+     */
+    request(method, path, body, profileId = this.profileId) {
+        if (!this.available) {
+            return Promise.resolve(null);
+        }
+        
+        const send = async () => {
+            try {
+                const response = await fetch(`${ServerStorage.apiUrl}/${path}?profile=${encodeURIComponent(profileId)}`, {
+                    method,
+                    cache: 'no-store',
+                    headers: body !== undefined ? { 'Content-Type': 'application/json' } : {},
+                    body: body !== undefined ? JSON.stringify(body) : undefined
+                });
+                if (response.status === 404 || response.status === 204) {
+                    return null;
+                }
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return await response.json();
+            } catch (error) {
+                console.error(`Local server request ${method} ${path} failed:`, error);
+                return null;
+            }
+        };
+        
+        this.queue = this.queue.then(send);
+        return this.queue;
+    }
+
+    /**
+     * Wait until every request sent so far is done, a reload would abort them
+     */
+    flush() {
+        return this.queue;
+    }
+
+    loadConfig() {
+        return this.request('GET', 'config');
+    }
+
+    saveConfig(config) {
+        return this.request('PUT', 'config', config);
+    }
+
+    loadDays() {
+        return this.request('GET', 'days');
+    }
+
+    saveDay(entry) {
+        return this.request('PUT', `days/${entry.date}`, entry);
+    }
+
+    deleteDay(date) {
+        return this.request('DELETE', `days/${date}`);
+    }
+
+    /**
+     * When each deleted day was deleted, by date
+     */
+    loadDeletedDays() {
+        return this.request('GET', 'deleted');
+    }
+
+    /**
+     * Replace the whole day log on the server
+     */
+    replaceDays(entries) {
+        return this.request('PUT', 'days', entries);
+    }
+
+    /**
+     * Delete the settings and day log of a profile on the server
+     */
+    deleteProfile(profileId) {
+        return this.request('DELETE', 'profile', undefined, profileId);
+    }
+}
+
+// In Node the class is a module (used by the tests), in the browser it is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ServerStorage };
+}
@@ -0,0 +1,280 @@
+/**
+ * Service Worker
+ * Precaches the app so it installs and works fully offline.
+ * Raise CACHE_VERSION with every release: the changed file makes browsers install the new version,
+ * and the page offers to reload once it is ready.
+ */
+const CACHE_VERSION = 'v2';
+const CACHE_NAME = `feierabend-${CACHE_VERSION}`;
+const RUNTIME_CACHE = 'feierabend-runtime';
+const ALERT_CACHE = 'feierabend-alerts';
+
+/**
+ * Alerts that are overdue by more than this are dropped instead of shown late
+ */
+const ALERT_GRACE = 30 * 60 * 1000;
+
+/**
+ * Files of the app, relative to this worker
+ */
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'script.js',
+    'profiles.js',
+    'settings-schema.js',
+    'workday.js',
+    'server-storage.js',
+    'notification-scheduler.js',
+    'translations.json',
+    'countdown/countdown.html',
+    'countdown/countdown.css',
+    'countdown/countdown.js',
+    'assets/favicon.svg',
+    'assets/favicon.ico',
+    'assets/notification.mp3',
+    'assets/site.webmanifest'
+];
+
+/**
+ * Icons and fonts from CDNs; the app still works without them, so they don't block the installation
+ */
+const EXTERNAL_ASSETS = [
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.2/css/all.min.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.2/webfonts/fa-solid-900.woff2',
+    'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        // Immer vom Netz laden, nicht aus dem HTTP-Cache des Browsers
+        await cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' })));
+        
+        const runtime = await caches.open(RUNTIME_CACHE);
+        await Promise.all(EXTERNAL_ASSETS.map(url => runtime.add(url).catch(error => {
+            console.warn(`Failed to cache ${url}:`, error);
+        })));
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('feierabend-') && ![CACHE_NAME, RUNTIME_CACHE, ALERT_CACHE].includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+        await queueAlerts(checkAlerts);
+    })());
+});
+
+self.addEventListener('message', event => {
+    const data = event.data || {};
+    
+    // The page asks the waiting worker to take over once the user accepts the update
+    if (data.type === 'skipWaiting') {
+        self.skipWaiting();
+    } else if (data.type === 'scheduleAlerts') {
+        event.waitUntil(queueAlerts(() => scheduleAlerts(Array.isArray(data.alerts) ? data.alerts : [])));
+    } else if (data.type === 'checkAlerts') {
+        event.waitUntil(queueAlerts(checkAlerts));
+    }
+});
+
+// Bring the app to the front, or open it again if it was closed
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        if (windows.length > 0) {
+            return windows[0].focus();
+        }
+        return self.clients.openWindow('./');
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET') {
+        return;
+    }
+    
+    if (url.origin === self.location.origin) {
+        // The API of the local server is never cached, the app falls back to the browser storage without it
+        if (url.pathname.startsWith('/api/')) {
+            return;
+        }
+        event.respondWith(fromAppCache(request));
+        
+        // Opening a page also shows the alerts that came due while no page was open
+        if (request.mode === 'navigate') {
+            event.waitUntil(queueAlerts(checkAlerts));
+        }
+        return;
+    }
+    
+    if (url.origin === 'https://fonts.googleapis.com' || url.origin === 'https://fonts.gstatic.com' || url.origin === 'https://cdnjs.cloudflare.com') {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+/**
+ * App files come from the precache of this version, pages with parameters (countdown.html?time=…) included
+ */
+async function fromAppCache(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) {
+        return cached;
+    }
+    
+    try {
+        return await fetch(request);
+    } catch (error) {
+        // Offline und nicht im Cache: Seitenaufrufe landen beim Rechner
+        if (request.mode === 'navigate') {
+            return cache.match('index.html');
+        }
+        throw error;
+    }
+}
+
+/**
+ * Answer from the cache right away and refresh the cached copy in the background
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await cache.match(request);
+    const update = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(error => {
+            if (!cached) {
+                throw error;
+            }
+            return cached;
+        });
+    
+    return cached || update;
+}
+
+/**
+ * Scheduled alerts
+ * Stored in the cache, because the browser stops the worker when it is idle and starts it again for the next event.
+ * Shape: [{ tag, at, title, body, shown }], at in milliseconds
+ */
+let alertQueue = Promise.resolve();
+let alertTimer = null;
+
+/**
+ * Run changes to the alerts one after another, so two messages never overwrite each other's changes
+ */
+function queueAlerts(task) {
+    alertQueue = alertQueue.then(task).catch(error => {
+        console.warn('Failed to update the alerts:', error);
+    });
+    return alertQueue;
+}
+
+async function loadAlerts() {
+    const cache = await caches.open(ALERT_CACHE);
+    const response = await cache.match('alerts.json');
+    return response ? response.json() : [];
+}
+
+async function saveAlerts(alerts) {
+    const cache = await caches.open(ALERT_CACHE);
+    await cache.put('alerts.json', new Response(JSON.stringify(alerts), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+}
+
+/**
+ * Notification triggers would show an alert at its time even when the worker is not running.
+ * No browser ships them (Chrome only tested them in an origin trial), so alerts need an open tab of the app
+ */
+function supportsTriggers() {
+    return typeof TimestampTrigger !== 'undefined';
+}
+
+function showAlert(alert, trigger = false) {
+    const options = {
+        body: alert.body,
+        tag: alert.tag,
+        icon: 'assets/favicon.svg',
+        renotify: true,
+        timestamp: alert.at
+    };
+    if (trigger) {
+        options.showTrigger = new TimestampTrigger(alert.at);
+    }
+    return self.registration.showNotification(alert.title, options);
+}
+
+/**
+ * Replace the scheduled alerts with the ones sent by a page
+ * Alerts that keep their time and were already shown are not shown again
+ */
+async function scheduleAlerts(alerts) {
+    const now = Date.now();
+    const previous = await loadAlerts();
+    const isSame = (a, b) => a.tag === b.tag && a.at === b.at;
+    const next = alerts
+        .filter(alert => alert && typeof alert.tag === 'string' && typeof alert.title === 'string' && Number.isFinite(alert.at))
+        .map(alert => {
+            const known = previous.find(old => isSame(old, alert));
+            return { tag: alert.tag, at: alert.at, title: alert.title, body: alert.body || '', shown: known ? known.shown : false };
+        });
+    
+    // Moved or cancelled alerts that are not due yet must not appear, already visible ones stay until dismissed
+    const cancelled = previous.filter(old => old.at > now && !next.some(alert => isSame(alert, old)));
+    if (cancelled.length > 0) {
+        const notifications = await self.registration.getNotifications({ includeTriggered: true });
+        notifications
+            .filter(notification => cancelled.some(old => old.tag === notification.tag))
+            .forEach(notification => notification.close());
+    }
+    
+    if (supportsTriggers()) {
+        for (const alert of next.filter(alert => !alert.shown && alert.at > now)) {
+            await showAlert(alert, true);
+            alert.shown = true;
+        }
+    }
+    
+    await saveAlerts(next);
+    await checkAlerts();
+}
+
+/**
+ * Show the alerts that are due and wait for the next one while the worker is running
+ */
+async function checkAlerts() {
+    const now = Date.now();
+    const alerts = await loadAlerts();
+    const due = alerts.filter(alert => !alert.shown && alert.at <= now);
+    
+    for (const alert of due) {
+        alert.shown = true;
+        if (now - alert.at <= ALERT_GRACE) {
+            await showAlert(alert);
+        }
+    }
+    if (due.length > 0) {
+        await saveAlerts(alerts);
+    }
+    
+    // Nur solange der Worker läuft, sonst holen die Nachrichten der Seiten das nach
+    clearTimeout(alertTimer);
+    const upcoming = alerts.filter(alert => !alert.shown).map(alert => alert.at);
+    if (upcoming.length > 0) {
+        alertTimer = setTimeout(() => queueAlerts(checkAlerts), Math.min(...upcoming) - now);
+    }
+}
@@ -0,0 +1,276 @@
+/**
+ * Settings Schema
+ * Versioned shape of the stored settings of the active profile, shared by the main page and the countdown page.
+ * Old data is brought up to the current version step by step, invalid values are repaired or dropped.
+ */
+class SettingsSchema {
+    /**
+     * Current schema version, stored as config.schemaVersion
+     */
+    static get version() {
+        return 1;
+    }
+
+    /**
+     * Storage key of the active profile's config
+     */
+    static get storageKey() {
+        return SettingsSchema.getStorageKey();
+    }
+
+    static getStorageKey(profileId = ProfileManager.getActiveId()) {
+        return ProfileManager.getStorageKey('flexibleTimeCalculatorConfig', profileId);
+    }
+
+    /**
+     * Migrations by the version they lead to
+     * Each step gets the config of the previous version and the legacy localStorage values
+     */
+    static get migrations() {
+        return {
+            // Das Farbschema lag im eigenen Schlüssel 'theme', die Countdown-Seite las aber config.theme
+            1: (config, legacy) => legacy.theme ? { ...config, theme: legacy.theme } : config
+        };
+    }
+
+    /**
+     * Rules for every known setting
+     * A rule returns the repaired value, or undefined to drop it so the default applies.
+     * Nested settings use an object of rules; unknown keys are kept untouched.
+     */
+    static get rules() {
+        const { number, oneOf, boolean, time, nullable, isObject } = SettingsSchema;
+        const isTime = value => time(value) !== undefined;
+        
+        return {
+            schemaVersion: value => Number.isInteger(value) && value >= 0 ? value : undefined,
+            updatedAt: value => typeof value === 'string' && !isNaN(Date.parse(value)) ? value : undefined,
+            targetHours: number(0, 24),
+            breakDuration: number(0, 480),
+            theme: oneOf(['system', 'light', 'dark']),
+            language: oneOf(['en', 'de']),
+            openingBalance: number(-10000, 10000),
+            weeklySchedule: {
+                enabled: boolean,
+                hours: value => {
+                    if (value === null) {
+                        return null;
+                    }
+                    const hours = Array.isArray(value) && value.length === 7 ? value.map(number(0, 24)) : [];
+                    return hours.length === 7 && hours.every(hour => hour !== undefined) ? hours : undefined;
+                }
+            },
+            coreTime: {
+                enabled: boolean,
+                days: value => {
+                    if (value === null) {
+                        return null;
+                    }
+                    if (!Array.isArray(value) || value.length !== 7) {
+                        return undefined;
+                    }
+                    // Ein kaputter Wochentag verliert nur seine eigene Kernzeit
+                    return value.map(day => isObject(day) && isTime(day.start) && isTime(day.end) && day.start < day.end
+                        ? { start: day.start, end: day.end }
+                        : null);
+                }
+            },
+            holidays: {
+                state: value => typeof value === 'string' && /^([A-Z]{2})?$/.test(value) ? value : undefined,
+                christmasEve: number(0, 1),
+                newYearsEve: number(0, 1)
+            },
+            rounding: {
+                enabled: boolean,
+                unit: number(1, 60),
+                startDirection: oneOf(['up', 'down', 'nearest', 'none']),
+                endDirection: oneOf(['up', 'down', 'nearest', 'none']),
+                graceMinutes: number(0, 60)
+            },
+            compliance: {
+                maxDailyHours: number(1, 24),
+                maxWeeklyHours: number(1, 168),
+                averagingWeeks: number(1, 52),
+                minRestHours: number(0, 24)
+            },
+            breakRules: {
+                preset: oneOf(['arbzg', 'jarbschg', 'custom']),
+                custom: value => Array.isArray(value)
+                    ? value.filter(rule => isObject(rule) && number(0, 24)(rule.afterHours) !== undefined && number(0, 480)(rule.minBreak) !== undefined)
+                        .map(rule => ({ afterHours: Number(rule.afterHours), minBreak: Number(rule.minBreak) }))
+                    : undefined
+            },
+            flexLimits: {
+                upper: nullable(number(0, 10000)),
+                lower: nullable(number(-10000, 0))
+            },
+            plannerPins: value => {
+                if (!isObject(value)) {
+                    return undefined;
+                }
+                const pins = {};
+                Object.entries(value).forEach(([date, pin]) => {
+                    if (/^\d{4}-\d{2}-\d{2}$/.test(date) && isObject(pin) && isTime(pin.start) && isTime(pin.end)) {
+                        pins[date] = { start: pin.start, end: pin.end };
+                    }
+                });
+                return pins;
+            },
+            leaveGoal: {
+                mode: oneOf(['target', 'zeroBalance', 'bank', 'fixedTime']),
+                bankHours: number(-24, 24),
+                fixedTime: value => value === '' ? '' : time(value)
+            }
+        };
+    }
+
+    /**
+     * Rule for a number within a range, numeric strings are converted
+     */
+    static number(min, max) {
+        return value => {
+            const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            return typeof parsed === 'number' && isFinite(parsed) && parsed >= min && parsed <= max ? parsed : undefined;
+        };
+    }
+
+    static oneOf(values) {
+        return value => values.includes(value) ? value : undefined;
+    }
+
+    static boolean(value) {
+        return typeof value === 'boolean' ? value : undefined;
+    }
+
+    /**
+     * Rule for a time of day as HH:MM
+     */
+    static time(value) {
+        return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value) ? value : undefined;
+    }
+
+    /**
+     * Rule for a date as YYYY-MM-DD that exists in the calendar
+     */
+    static date(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return undefined;
+        }
+        const [year, month, day] = value.split('-').map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? value : undefined;
+    }
+
+    /**
+     * Rule for the work intervals or breaks of a day log entry: [{ start, end }] as HH:MM, empty while still open
+     */
+    static intervals(value) {
+        const isTimeOrEmpty = time => time === '' || SettingsSchema.time(time) !== undefined;
+        return Array.isArray(value) && value.every(interval => SettingsSchema.isObject(interval) && isTimeOrEmpty(interval.start) && isTimeOrEmpty(interval.end))
+            ? value
+            : undefined;
+    }
+
+    /**
+     * Allow null (and an empty string, which older versions saved) in addition to the wrapped rule
+     */
+    static nullable(rule) {
+        return value => value === null || value === '' ? null : rule(value);
+    }
+
+    static isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Bring a stored config up to the current version and repair it
+     * @param {Object} config Parsed config of any version
+     * @param {Object} legacy Values from the storage keys older versions used, e.g. { theme }
+     * @returns {Object} Config in the current shape, including schemaVersion
+     */
+    static migrate(config, legacy = {}) {
+        let migrated = SettingsSchema.isObject(config) ? { ...config } : {};
+        const storedVersion = Number.isInteger(migrated.schemaVersion) ? migrated.schemaVersion : 0;
+        
+        // A config from a newer app version is not migrated, only the values known here are repaired
+        for (let version = storedVersion + 1; version <= SettingsSchema.version; version++) {
+            migrated = SettingsSchema.migrations[version](migrated, legacy);
+        }
+        
+        migrated = SettingsSchema.repair(migrated, SettingsSchema.rules);
+        migrated.schemaVersion = Math.max(storedVersion, SettingsSchema.version);
+        return migrated;
+    }
+
+    /**
+     * Apply the rules to a config object, dropping what cannot be repaired
+     */
+    static repair(config, rules) {
+        const repaired = { ...config };
+        Object.entries(rules).forEach(([key, rule]) => {
+            if (!(key in repaired)) {
+                return;
+            }
+        
+            let value;
+            if (typeof rule === 'function') {
+                value = rule(repaired[key]);
+            } else if (SettingsSchema.isObject(repaired[key])) {
+                value = SettingsSchema.repair(repaired[key], rule);
+            }
+        
+            if (value === undefined) {
+                console.warn(`Invalid setting "${key}" dropped:`, repaired[key]);
+                delete repaired[key];
+            } else {
+                repaired[key] = value;
+            }
+        });
+        return repaired;
+    }
+
+    /**
+     * Fill missing settings from the defaults, nested settings key by key
+     */
+    static withDefaults(defaults, config) {
+        const merged = { ...defaults, ...config };
+        Object.keys(defaults).forEach(key => {
+            if (SettingsSchema.isObject(defaults[key]) && SettingsSchema.isObject(config[key])) {
+                merged[key] = { ...defaults[key], ...config[key] };
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Load the stored config, migrated and repaired
+     * Writes the result back once, so old storage keys are only read a single time.
+     */
+    static load() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(SettingsSchema.storageKey));
+        } catch (error) {
+            console.warn('Stored configuration is not valid JSON, using defaults:', error);
+        }
+        
+        // Only the default profile can hold settings from before the schema existed
+        const legacyTheme = ProfileManager.getActiveId() === ProfileManager.defaultId ? localStorage.getItem('theme') : null;
+        const config = SettingsSchema.migrate(stored, { theme: legacyTheme });
+        
+        if ((stored && stored.schemaVersion !== config.schemaVersion) || legacyTheme !== null) {
+            try {
+                localStorage.setItem(SettingsSchema.storageKey, JSON.stringify(config));
+                localStorage.removeItem('theme');
+            } catch (error) {
+                console.error('Failed to save migrated configuration:', error);
+            }
+        }
+        return config;
+    }
+}
+
+// In Node the schema is a module (used by the command-line tool), in the browser the class is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SettingsSchema };
+}
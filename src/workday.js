@@ -0,0 +1,787 @@
+/**
+ * Workday engine
+ * The working time rules without any DOM access: break rules, time rounding, public holidays, target hours per day,
+ * work segments, balance and leave times.
+ * Loaded as a plain script by the calculator and the countdown page, and with require() in Node.
+ */
+
+/**
+ * Break Rule Engine
+ * Maps working time thresholds to minimum break durations (e.g. ArbZG §4)
+ */
+class BreakRuleEngine {
+    constructor(rules = []) {
+        this.rules = rules
+            .filter(rule => rule && rule.afterHours >= 0 && rule.minBreak > 0)
+            .map(rule => ({ afterHours: Number(rule.afterHours), minBreak: Number(rule.minBreak) }))
+            .sort((a, b) => a.afterHours - b.afterHours);
+    }
+
+    /**
+     * Built-in rule sets
+     * ArbZG: 30 min after more than 6h, 45 min after more than 9h
+     * JArbSchG: 30 min after more than 4.5h, 60 min after more than 6h
+     */
+    static get presets() {
+        return {
+            arbzg: [
+                { afterHours: 6, minBreak: 30 },
+                { afterHours: 9, minBreak: 45 }
+            ],
+            jarbschg: [
+                { afterHours: 4.5, minBreak: 30 },
+                { afterHours: 6, minBreak: 60 }
+            ]
+        };
+    }
+
+    /**
+     * Get the active rules for a break rule configuration
+     */
+    static getRules(breakRules) {
+        const preset = breakRules && breakRules.preset;
+        if (preset === 'custom') {
+            return Array.isArray(breakRules.custom) ? breakRules.custom : [];
+        }
+        return BreakRuleEngine.presets[preset] || BreakRuleEngine.presets.arbzg;
+    }
+
+    /**
+     * Create an engine from the app configuration
+     */
+    static fromConfig(config) {
+        return new BreakRuleEngine(BreakRuleEngine.getRules(config.breakRules));
+    }
+
+    /**
+     * Minimum break for a given net working time (used to plan the end of the day)
+     */
+    getRequiredBreak(workMinutes) {
+        return this.rules.reduce((required, rule) => {
+            return workMinutes > rule.afterHours * 60 ? Math.max(required, rule.minBreak) : required;
+        }, 0);
+    }
+
+    /**
+     * Minimum break to deduct from the time between start and end
+     * Near a threshold only the part above it is deducted, so working time
+     * never drops below the threshold that triggered the break
+     */
+    getMinimumBreak(presenceMinutes) {
+        return this.rules.reduce((deduction, rule) => {
+            const aboveThreshold = Math.max(0, presenceMinutes - rule.afterHours * 60);
+            return Math.max(deduction, Math.min(rule.minBreak, aboveThreshold));
+        }, 0);
+    }
+
+    /**
+     * Whether any rule requires a break for the given time between start and end
+     */
+    isBreakRequired(presenceMinutes) {
+        return this.getMinimumBreak(presenceMinutes) > 0;
+    }
+}
+
+/**
+ * Time Rounding
+ * Rounds clock-in and clock-out times like the employer's time clock
+ */
+class TimeRounding {
+    constructor(settings = {}) {
+        this.enabled = !!settings.enabled;
+        this.unit = Math.max(1, Number(settings.unit) || 1);
+        this.startDirection = settings.startDirection || 'none';
+        this.endDirection = settings.endDirection || 'none';
+        this.graceMinutes = Math.max(0, Number(settings.graceMinutes) || 0);
+    }
+
+    /**
+     * Create the rounding rules of the configuration
+     */
+    static fromConfig(config) {
+        return new TimeRounding(config.rounding);
+    }
+
+    /**
+     * Round a time to the unit in the given direction
+     * Within the grace window after a boundary (clock-in) or before a boundary (clock-out),
+     * the time snaps to that boundary in the employee's favour.
+     */
+    round(date, direction, isStart) {
+        if (!this.enabled || direction === 'none') {
+            return new Date(date);
+        }
+        
+        const minutes = date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60;
+        const previous = Math.floor(minutes / this.unit) * this.unit;
+        const next = previous === minutes ? minutes : previous + this.unit;
+        
+        let rounded;
+        if (isStart && minutes - previous <= this.graceMinutes) {
+            rounded = previous;
+        } else if (!isStart && next - minutes <= this.graceMinutes) {
+            rounded = next;
+        } else if (direction === 'up') {
+            rounded = next;
+        } else if (direction === 'down') {
+            rounded = previous;
+        } else {
+            rounded = minutes - previous < next - minutes ? previous : next;
+        }
+        
+        const result = new Date(date);
+        result.setHours(0, rounded, 0, 0);
+        return result;
+    }
+
+    /**
+     * Round the start and end of all work segments
+     */
+    roundSegments(segments) {
+        return segments.map(segment => {
+            const start = this.round(segment.start, this.startDirection, true);
+            const end = this.round(segment.end, this.endDirection, false);
+            return { start, end: end < start ? start : end };
+        });
+    }
+
+    /**
+     * Earliest clock-out time whose rounded value is not before the given time
+     */
+    getEarliestEnd(target) {
+        if (!this.enabled || this.endDirection === 'none') {
+            return target;
+        }
+        
+        const candidate = new Date(target);
+        candidate.setSeconds(0, 0);
+        candidate.setMinutes(candidate.getMinutes() - this.unit - this.graceMinutes);
+        while (this.round(candidate, this.endDirection, false) < target) {
+            candidate.setMinutes(candidate.getMinutes() + 1);
+        }
+        return candidate;
+    }
+}
+
+/**
+ * Holiday Calendar
+ * Calculates German public holidays per federal state offline
+ */
+class HolidayCalendar {
+    /**
+     * Federal states by their official abbreviation
+     */
+    static get states() {
+        return {
+            BW: 'Baden-Württemberg',
+            BY: 'Bayern',
+            BE: 'Berlin',
+            BB: 'Brandenburg',
+            HB: 'Bremen',
+            HH: 'Hamburg',
+            HE: 'Hessen',
+            MV: 'Mecklenburg-Vorpommern',
+            NI: 'Niedersachsen',
+            NW: 'Nordrhein-Westfalen',
+            RP: 'Rheinland-Pfalz',
+            SL: 'Saarland',
+            SN: 'Sachsen',
+            ST: 'Sachsen-Anhalt',
+            SH: 'Schleswig-Holstein',
+            TH: 'Thüringen'
+        };
+    }
+
+    /**
+     * Easter Sunday of a year (anonymous Gregorian algorithm)
+     */
+    static getEasterSunday(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * All public holidays of a year in a federal state, keyed by YYYY-MM-DD
+     */
+    static getHolidays(year, state) {
+        const holidays = {};
+        const add = (date, name, states = null) => {
+            if (!states || states.includes(state)) {
+                holidays[WorkdayCalculator.getDateKey(date)] = name;
+            }
+        };
+        const fixed = (month, day) => new Date(year, month - 1, day);
+        const easter = HolidayCalendar.getEasterSunday(year);
+        const fromEaster = (offset) => new Date(year, easter.getMonth(), easter.getDate() + offset);
+
+        // Nationwide holidays
+        add(fixed(1, 1), 'Neujahr');
+        add(fromEaster(-2), 'Karfreitag');
+        add(fromEaster(1), 'Ostermontag');
+        add(fixed(5, 1), 'Tag der Arbeit');
+        add(fromEaster(39), 'Christi Himmelfahrt');
+        add(fromEaster(50), 'Pfingstmontag');
+        add(fixed(10, 3), 'Tag der Deutschen Einheit');
+        add(fixed(12, 25), '1. Weihnachtstag');
+        add(fixed(12, 26), '2. Weihnachtstag');
+
+        // Holidays of individual states
+        add(fixed(1, 6), 'Heilige Drei Könige', ['BW', 'BY', 'ST']);
+        if (year >= 2019) {
+            add(fixed(3, 8), 'Internationaler Frauentag', year >= 2023 ? ['BE', 'MV'] : ['BE']);
+            add(fixed(9, 20), 'Weltkindertag', ['TH']);
+        }
+        add(easter, 'Ostersonntag', ['BB']);
+        add(fromEaster(49), 'Pfingstsonntag', ['BB']);
+        add(fromEaster(60), 'Fronleichnam', ['BW', 'BY', 'HE', 'NW', 'RP', 'SL']);
+        add(fixed(8, 15), 'Mariä Himmelfahrt', ['SL']);
+        // 500 Jahre Reformation: 2017 einmalig ein bundesweiter Feiertag
+        if (year === 2017) {
+            add(fixed(10, 31), 'Reformationstag');
+        } else {
+            add(fixed(10, 31), 'Reformationstag', year >= 2018
+                ? ['BB', 'HB', 'HH', 'MV', 'NI', 'SN', 'ST', 'SH', 'TH']
+                : ['BB', 'MV', 'SN', 'ST', 'TH']);
+        }
+        add(fixed(11, 1), 'Allerheiligen', ['BW', 'BY', 'NW', 'RP', 'SL']);
+
+        // Buß- und Bettag: Wednesday before November 23
+        const repentanceDay = fixed(11, 22);
+        repentanceDay.setDate(22 - ((repentanceDay.getDay() + 4) % 7));
+        add(repentanceDay, 'Buß- und Bettag', ['SN']);
+
+        return holidays;
+    }
+
+    /**
+     * Name of the public holiday on a date, or null
+     */
+    static getHoliday(date, state) {
+        if (!state) {
+            return null;
+        }
+        return HolidayCalendar.getHolidays(date.getFullYear(), state)[WorkdayCalculator.getDateKey(date)] || null;
+    }
+}
+
+/**
+ * Workday Calculator
+ * Calculates one working day from plain times, the form and the stamp clock only provide the input
+ */
+class WorkdayCalculator {
+    /**
+     * @param {Object} config Configuration as returned by ConfigManager.getConfig(), missing settings use the defaults
+     * @param {Object} options
+     * @param {boolean} options.forceBreak Deduct the planned break even if no break rule requires it
+     * @param {boolean} options.onBreak A break without end is still running and lasts until now
+     * @param {Date} options.now Current time, defaults to the real one
+     */
+    constructor(config = {}, options = {}) {
+        this.config = { ...WorkdayCalculator.defaultConfig, ...config };
+        this.breakRules = BreakRuleEngine.fromConfig(this.config);
+        this.rounding = TimeRounding.fromConfig(this.config);
+        this.forceBreak = !!options.forceBreak;
+        this.onBreak = !!options.onBreak;
+        this.now = options.now ? new Date(options.now) : new Date();
+    }
+
+    /**
+     * Settings the calculation cannot do without
+     */
+    static get defaultConfig() {
+        return {
+            targetHours: 8,
+            breakDuration: 30
+        };
+    }
+
+    /**
+     * Format a date as date key (YYYY-MM-DD) in local time
+     */
+    static getDateKey(date) {
+        const year = date.getFullYear();
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        const day = date.getDate().toString().padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Create a local date from a date key (YYYY-MM-DD) and an optional time (HH:MM)
+     * Local wall-clock dates keep durations correct on days with 23 or 25 hours (DST change)
+     */
+    static toDate(dateKey, time = '00:00') {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        const [hours, minutes] = time.split(':').map(Number);
+        if ([year, month, day, hours, minutes].some(value => isNaN(value))) {
+            return null;
+        }
+        
+        return new Date(year, month - 1, day, hours, minutes);
+    }
+
+    /**
+     * Format hours to HH:MM, negative hours get a minus sign
+     */
+    static formatHours(hours) {
+        const totalMinutes = Math.round(Math.abs(hours) * 60);
+        const h = Math.floor(totalMinutes / 60);
+        const m = totalMinutes % 60;
+        const sign = hours < 0 ? '-' : '';
+        return `${sign}${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Format the time of a date to HH:MM
+     */
+    static formatTime(date) {
+        const hours = date.getHours().toString().padStart(2, '0');
+        const minutes = date.getMinutes().toString().padStart(2, '0');
+        return `${hours}:${minutes}`;
+    }
+
+    /**
+     * Get the upper and lower limit of the flex account in hours, null for no limit
+     */
+    static getFlexLimits(config) {
+        const limits = config.flexLimits || {};
+        const toLimit = value => value === null || value === undefined || value === '' || isNaN(Number(value)) ? null : Number(value);
+        return {
+            upper: toLimit(limits.upper),
+            lower: toLimit(limits.lower)
+        };
+    }
+
+    /**
+     * Get the weekly schedule hours indexed like Date.getDay()
+     * Without a saved schedule, Monday to Friday use the daily target
+     */
+    static getScheduleHours(config) {
+        const schedule = config.weeklySchedule;
+        if (schedule && Array.isArray(schedule.hours) && schedule.hours.length === 7) {
+            return [...schedule.hours];
+        }
+        
+        const target = config.targetHours;
+        return [0, target, target, target, target, target, 0];
+    }
+
+    /**
+     * Share of the target that applies on Dec 24 and Dec 31
+     */
+    static getHalfDayFactor(config, date) {
+        const holidays = config.holidays || {};
+        const factor = value => value === undefined ? 1 : Number(value);
+        if (date.getMonth() === 11 && date.getDate() === 24) {
+            return factor(holidays.christmasEve);
+        }
+        if (date.getMonth() === 11 && date.getDate() === 31) {
+            return factor(holidays.newYearsEve);
+        }
+        return 1;
+    }
+
+    /**
+     * Get the target working hours for a date
+     * Uses the weekly schedule if enabled, otherwise the same target every day.
+     * Public holidays have no target, Dec 24/31 can be reduced.
+     */
+    static getTargetHoursForDate(config, date) {
+        let targetHours = Number(config.targetHours);
+        const schedule = config.weeklySchedule;
+        if (schedule && schedule.enabled) {
+            const hours = Number(WorkdayCalculator.getScheduleHours(config)[date.getDay()]);
+            targetHours = isNaN(hours) ? Number(config.targetHours) : hours;
+        }
+        
+        if (HolidayCalendar.getHoliday(date, (config.holidays || {}).state)) {
+            return 0;
+        }
+        
+        return targetHours * WorkdayCalculator.getHalfDayFactor(config, date);
+    }
+
+    /**
+     * Sum of the gaps between work segments in minutes
+     */
+    static getGapMinutes(segments) {
+        return segments.slice(1).reduce((sum, segment, index) => {
+            return sum + (segment.start - segments[index].end) / (1000 * 60);
+        }, 0);
+    }
+
+    /**
+     * Whether a day can still be running: today, or yesterday for a night shift
+     */
+    isLiveDate(dateKey) {
+        const yesterday = new Date(this.now);
+        yesterday.setDate(yesterday.getDate() - 1);
+        return dateKey >= WorkdayCalculator.getDateKey(yesterday) && dateKey <= WorkdayCalculator.getDateKey(this.now);
+    }
+
+    /**
+     * Build all work segments of the day, starting with the main start and end time
+     * Segments follow each other, so a start before the previous end moves to the next day.
+     * An additional interval without end runs until now (only on a day that can still be running).
+     */
+    getWorkSegments(start, end, segmentRows = []) {
+        const segments = [{ start, end }];
+        const dateKey = WorkdayCalculator.getDateKey(start);
+        const now = this.isLiveDate(dateKey) ? this.now : null;
+        
+        segmentRows.forEach(row => {
+            const segmentStart = row.start ? WorkdayCalculator.toDate(dateKey, row.start) : null;
+            if (!segmentStart) {
+                return;
+            }
+        
+            const previousEnd = segments[segments.length - 1].end;
+            while (segmentStart < previousEnd) {
+                segmentStart.setDate(segmentStart.getDate() + 1);
+            }
+        
+            let segmentEnd;
+            if (row.end) {
+                segmentEnd = WorkdayCalculator.toDate(dateKey, row.end);
+                segmentEnd.setFullYear(segmentStart.getFullYear(), segmentStart.getMonth(), segmentStart.getDate());
+                if (segmentEnd <= segmentStart) {
+                    segmentEnd.setDate(segmentEnd.getDate() + 1);
+                }
+            } else {
+                // Open interval: counts until now, or not at all if it hasn't started yet or the day is over
+                segmentEnd = new Date(now ? Math.max(now, segmentStart) : segmentStart);
+            }
+        
+            segments.push({ start: segmentStart, end: segmentEnd });
+        });
+        
+        return segments;
+    }
+
+    /**
+     * Sum of all complete logged breaks in minutes, or null if none are logged
+     * When work segments are given, breaks are clipped to them and overlapping breaks are merged.
+     * While a pause is running (onBreak), a break without end lasts until now.
+     */
+    getLoggedBreakMinutes(breakRows, segments = null, dateKey = WorkdayCalculator.getDateKey(segments ? segments[0].start : this.now)) {
+        const workStart = segments ? segments[0].start : null;
+        const intervals = breakRows
+            .map(row => {
+                const start = row.start ? WorkdayCalculator.toDate(dateKey, row.start) : null;
+                if (start && !row.end && this.onBreak) {
+                    return start < this.now ? { start: start.getTime(), end: this.now.getTime() } : null;
+                }
+        
+                const end = row.end ? WorkdayCalculator.toDate(dateKey, row.end) : null;
+                if (!start || !end) {
+                    return null;
+                }
+        
+                // Breaks after midnight of an overnight shift belong to the next day
+                if (workStart && start < workStart) {
+                    start.setDate(start.getDate() + 1);
+                    end.setDate(end.getDate() + 1);
+                }
+                if (end <= start) {
+                    end.setDate(end.getDate() + 1);
+                }
+        
+                return { start: start.getTime(), end: end.getTime() };
+            })
+            .filter(interval => interval !== null)
+            .sort((a, b) => a.start - b.start);
+        
+        if (intervals.length === 0) {
+            return null;
+        }
+        
+        // Merge overlapping breaks so no minute is counted twice
+        const merged = [{ ...intervals[0] }];
+        intervals.slice(1).forEach(interval => {
+            const current = merged[merged.length - 1];
+            if (interval.start <= current.end) {
+                current.end = Math.max(current.end, interval.end);
+            } else {
+                merged.push({ ...interval });
+            }
+        });
+        
+        // Only count the parts of the breaks that fall into a work segment
+        const totalMs = merged.reduce((sum, interval) => {
+            if (!segments) {
+                return sum + (interval.end - interval.start);
+            }
+            return sum + segments.reduce((overlap, segment) => {
+                return overlap + Math.max(0, Math.min(interval.end, segment.end) - Math.max(interval.start, segment.start));
+            }, 0);
+        }, 0);
+        
+        return totalMs / (1000 * 60);
+    }
+
+    /**
+     * Break to plan for the given working time
+     * The planned break applies whenever the break rules require a break (or it is forced),
+     * and is topped up to the legal minimum for the given working time
+     */
+    getEffectiveBreakDuration(workMinutes = this.config.targetHours * 60) {
+        const legalBreak = this.breakRules.getRequiredBreak(workMinutes);
+        
+        let plannedBreak = 0;
+        
+        // Only include planned break if the working time is actually longer than the break
+        if (workMinutes >= this.config.breakDuration && (legalBreak > 0 || this.forceBreak)) {
+            plannedBreak = this.config.breakDuration;
+        }
+        
+        return Math.max(legalBreak, plannedBreak);
+    }
+
+    /**
+     * Break to plan for the suggested end time
+     * Breaks already logged today count once they exceed the planned break
+     */
+    getPlannedBreakMinutes(loggedBreakMinutes, workMinutes) {
+        const effectiveBreak = this.getEffectiveBreakDuration(workMinutes);
+        return loggedBreakMinutes === null ? effectiveBreak : Math.max(loggedBreakMinutes, effectiveBreak);
+    }
+
+    /**
+     * Calculate the break to deduct from the time worked in all segments
+     * Logged breaks replace the planned break and are topped up to the legal minimum.
+     * Gaps between segments are breaks already taken and reduce what is still missing.
+     */
+    getBreakDeduction(totalMinutes, loggedBreakMinutes = null, gapMinutes = 0) {
+        const legalBreak = this.breakRules.getMinimumBreak(totalMinutes + gapMinutes);
+        
+        let breakMinutes;
+        if (loggedBreakMinutes !== null) {
+            breakMinutes = Math.max(legalBreak - gapMinutes, loggedBreakMinutes);
+        } else {
+            const plannedBreak = legalBreak > 0 || this.forceBreak ? this.config.breakDuration : 0;
+            breakMinutes = Math.max(legalBreak, plannedBreak) - gapMinutes;
+        }
+        
+        // Never subtract more break time than the total worked time
+        return Math.min(totalMinutes, Math.max(0, breakMinutes));
+    }
+
+    /**
+     * Working time of the given segments after rounding and breaks
+     * The raw working time without rounding is returned as well, the legal limits apply to it.
+     */
+    getWorkedTime(rawSegments, breakRows = []) {
+        // Round the times like the employer's time clock, the balance is based on the rounded times
+        const segments = this.rounding.roundSegments(rawSegments);
+        const sumMinutes = list => list.reduce((sum, segment) => sum + (segment.end - segment.start) / (1000 * 60), 0);
+        
+        const totalMinutes = sumMinutes(segments);
+        const gapMinutes = WorkdayCalculator.getGapMinutes(segments);
+        const loggedBreakMinutes = this.getLoggedBreakMinutes(breakRows, rawSegments);
+        const breakMinutes = this.getBreakDeduction(totalMinutes, loggedBreakMinutes, gapMinutes);
+        
+        const rawTotalMinutes = sumMinutes(rawSegments);
+        const rawGapMinutes = WorkdayCalculator.getGapMinutes(rawSegments);
+        const rawBreakMinutes = this.getBreakDeduction(rawTotalMinutes, loggedBreakMinutes, rawGapMinutes);
+        
+        return {
+            segments,
+            totalMinutes,
+            gapMinutes,
+            loggedBreakMinutes,
+            breakMinutes,
+            // Working time is never negative
+            workingHours: Math.max(0, totalMinutes - breakMinutes) / 60,
+            rawWorkingHours: Math.max(0, rawTotalMinutes - rawBreakMinutes) / 60,
+            rawGapMinutes
+        };
+    }
+
+    /**
+     * End time at which the work segments add up to the given working time
+     * The last segment covers whatever the earlier segments didn't, plus the break still missing.
+     * Gaps between segments count as breaks already taken.
+     */
+    getEndTimeForWorkMinutes(segments, workMinutes, loggedBreakMinutes = null, gapMinutes = 0) {
+        const breakMinutes = Math.max(0, this.getPlannedBreakMinutes(loggedBreakMinutes, workMinutes) - gapMinutes);
+        const lastSegment = segments[segments.length - 1];
+        const earlierMinutes = segments.slice(0, -1).reduce((sum, segment) => sum + (segment.end - segment.start) / (1000 * 60), 0);
+        
+        return new Date(lastSegment.start.getTime() + (workMinutes - earlierMinutes + breakMinutes) * 60 * 1000);
+    }
+
+    /**
+     * Working minutes needed today for a leave goal
+     * A fixed leave time keeps the target as suggestion and shows the resulting balance instead
+     */
+    getGoalWorkMinutes(goal, targetHours, balance) {
+        switch (goal.mode) {
+            case 'zeroBalance':
+                return (targetHours - balance) * 60;
+            case 'bank':
+                return (targetHours + (Number(goal.bankHours) || 0)) * 60;
+            default:
+                return targetHours * 60;
+        }
+    }
+
+    /**
+     * Leave time for a goal, rounded like the time clock and not before core time ends
+     */
+    getGoalEndTime(goal, segments, targetHours, balance, loggedBreakMinutes = null, gapMinutes = 0, coreEnd = null) {
+        const workMinutes = Math.max(0, this.getGoalWorkMinutes(goal, targetHours, balance));
+        const endTime = this.rounding.getEarliestEnd(this.getEndTimeForWorkMinutes(segments, workMinutes, loggedBreakMinutes, gapMinutes));
+        return coreEnd && coreEnd > endTime ? coreEnd : endTime;
+    }
+
+    /**
+     * Balance that results from leaving at the fixed time of the goal, or null for other goals
+     */
+    getGoalResult(goal, rawSegments, breakRows, targetHours, balance) {
+        if (goal.mode !== 'fixedTime' || !goal.fixedTime) {
+            return null;
+        }
+        
+        // The last segment ends at the fixed leave time
+        const lastSegment = rawSegments[rawSegments.length - 1];
+        const leaveAt = WorkdayCalculator.toDate(WorkdayCalculator.getDateKey(lastSegment.start), goal.fixedTime);
+        if (!leaveAt) {
+            return null;
+        }
+        if (leaveAt < lastSegment.start) {
+            leaveAt.setDate(leaveAt.getDate() + 1);
+        }
+        
+        const { workingHours } = this.getWorkedTime([...rawSegments.slice(0, -1), { start: lastSegment.start, end: leaveAt }], breakRows);
+        const todayBalance = workingHours - targetHours;
+        return { todayBalance, newTotalBalance: balance + todayBalance };
+    }
+
+    /**
+     * Calculate a working day
+     * @param {Object} input
+     * @param {string} input.date Work date as YYYY-MM-DD, defaults to today
+     * @param {string} input.startTime Start as HH:MM
+     * @param {string} input.endTime End as HH:MM, empty while only the leave time is wanted
+     * @param {boolean} input.overnight The end is on the next day (night shift)
+     * @param {Array} input.segments Further work intervals as { start, end }, an open one has no end
+     * @param {Array} input.breaks Logged breaks as { start, end }
+     * @param {number} input.targetHours Target of the day, defaults to the target of the date in the settings (weekly schedule, holidays)
+     * @param {number} input.balance Flex balance before this day in hours
+     * @param {Object} input.leaveGoal { mode, bankHours, fixedTime } like config.leaveGoal, defaults to the target
+     * @param {string} input.coreTimeEnd End of the day's core time as HH:MM, the leave time is never earlier
+     * @returns {Object} status is 'noStart', 'noEnd', 'estimate' (start in the future, nothing worked yet),
+     *   'endBeforeStart' or 'complete'; the working time and balance fields are only set for 'estimate' and 'complete'
+     */
+    compute(input) {
+        const date = input.date || WorkdayCalculator.getDateKey(this.now);
+        const targetHours = typeof input.targetHours === 'number' ? input.targetHours : WorkdayCalculator.getTargetHoursForDate(this.config, WorkdayCalculator.toDate(date));
+        const balance = Number(input.balance) || 0;
+        const goal = input.leaveGoal || { mode: 'target' };
+        const segmentRows = input.segments || [];
+        const breakRows = input.breaks || [];
+        const coreEnd = input.coreTimeEnd ? WorkdayCalculator.toDate(date, input.coreTimeEnd) : null;
+        const result = { status: 'noStart', date, targetHours, balance, suggestedEndTime: null, breakOptional: false, goalResult: null };
+        
+        const start = input.startTime ? WorkdayCalculator.toDate(date, input.startTime) : null;
+        if (!start) {
+            return result;
+        }
+        
+        // Suggested end from the start alone, including the break required by the break rules
+        const startSegments = [{ start, end: start }];
+        const loggedBreakMinutes = this.getLoggedBreakMinutes(breakRows, null, date);
+        result.suggestedEndTime = this.getGoalEndTime(goal, startSegments, targetHours, balance, loggedBreakMinutes, 0, coreEnd);
+        result.goalResult = this.getGoalResult(goal, startSegments, breakRows, targetHours, balance);
+        result.breakOptional = this.breakRules.getRequiredBreak(targetHours * 60) === 0 && loggedBreakMinutes === null;
+        
+        const end = input.endTime ? WorkdayCalculator.toDate(date, input.endTime) : null;
+        if (!end) {
+            return { ...result, status: 'noEnd' };
+        }
+        
+        // Start and end at the same time in the future: nothing is worked yet, only the end is estimated
+        if (start > this.now && start.getTime() === end.getTime() && segmentRows.length === 0) {
+            return {
+                ...result,
+                status: 'estimate',
+                suggestedEndTime: this.getGoalEndTime(goal, startSegments, targetHours, balance, null, 0, coreEnd),
+                workingHours: 0,
+                todayBalance: -targetHours,
+                newTotalBalance: balance - targetHours
+            };
+        }
+        
+        // Night shifts are marked explicitly, an end before the start is not guessed to be the next day
+        if (input.overnight) {
+            end.setDate(end.getDate() + 1);
+        }
+        if (end < start) {
+            return { ...result, status: 'endBeforeStart' };
+        }
+        
+        const rawSegments = this.getWorkSegments(start, end, segmentRows);
+        const worked = this.getWorkedTime(rawSegments, breakRows);
+        const todayBalance = worked.workingHours - targetHours;
+        
+        // Leave times that keep the flex account within its limits, only within today's working day
+        const limits = WorkdayCalculator.getFlexLimits(this.config);
+        const getLeaveTimeForBalance = limit => {
+            const workMinutes = (limit - balance + targetHours) * 60;
+            return limit !== null && workMinutes > 0 && workMinutes < 24 * 60
+                ? this.getEndTimeForWorkMinutes(worked.segments, workMinutes, worked.loggedBreakMinutes, worked.gapMinutes)
+                : null;
+        };
+        const maxDailyHours = Number((this.config.compliance || {}).maxDailyHours) || 10;
+        
+        return {
+            ...result,
+            ...worked,
+            status: 'complete',
+            rawSegments,
+            topUpMinutes: worked.breakMinutes - (worked.loggedBreakMinutes || 0),
+            // Gaps between segments are breaks already taken, so the break is not optional anymore
+            breakOptional: !this.breakRules.isBreakRequired(worked.totalMinutes + worked.gapMinutes) && worked.loggedBreakMinutes === null && worked.gapMinutes === 0,
+            todayBalance,
+            newTotalBalance: balance + todayBalance,
+            suggestedEndTime: this.getGoalEndTime(goal, worked.segments, targetHours, balance, worked.loggedBreakMinutes, worked.gapMinutes, coreEnd),
+            goalResult: this.getGoalResult(goal, rawSegments, breakRows, targetHours, balance),
+            leaveTimes: {
+                latest: getLeaveTimeForBalance(limits.upper),
+                earliest: getLeaveTimeForBalance(limits.lower)
+            },
+            // Latest end before the daily maximum working time, based on the times before rounding
+            limitEndTime: this.getEndTimeForWorkMinutes(rawSegments, maxDailyHours * 60, worked.loggedBreakMinutes, worked.rawGapMinutes)
+        };
+    }
+}
+
+/**
+ * Calculate a working day from plain input, see WorkdayCalculator.compute() for the fields
+ * input.forceBreak, input.onBreak and input.now set the calculator options.
+ */
+function computeWorkday(input, config = {}) {
+    const calculator = new WorkdayCalculator(config, {
+        forceBreak: input.forceBreak,
+        onBreak: input.onBreak,
+        now: input.now
+    });
+    return calculator.compute(input);
+}
+
+// In Node the engine is a module, in the browser the classes above are globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { computeWorkday, WorkdayCalculator, BreakRuleEngine, TimeRounding, HolidayCalendar };
+}
@@ -0,0 +1,120 @@
+process.env.TZ = 'Europe/Berlin';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseArgs, loadConfig, calculate, formatReport, formatCountdown } = require('../bin/feierabend.js');
+
+const config = { targetHours: 8, breakDuration: 30, language: 'en' };
+const now = new Date(2026, 9, 19, 12, 0);
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feierabend-'));
+let configFiles = 0;
+
+const writeConfig = content => {
+    const file = path.join(tempDir, `config-${++configFiles}.json`);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+};
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test('times and options are read from the arguments', () => {
+    const options = parseArgs(['7:42', '--balance', '-1.5', '--json']);
+    assert.strictEqual(options.start, '07:42');
+    assert.strictEqual(options.end, null);
+    assert.strictEqual(options.balance, -1.5);
+    assert.strictEqual(options.json, true);
+
+    assert.throws(() => parseArgs([]), /Start time missing/);
+    assert.throws(() => parseArgs(['24:00']), /Invalid time/);
+    assert.throws(() => parseArgs(['08:00', '--balance', 'x']), /Invalid balance/);
+    assert.throws(() => parseArgs(['08:00', '--verbose']), /Unknown option/);
+    assert.throws(() => parseArgs(['08:00', '16:00', '--watch']), /no end time/);
+});
+
+test('without an end the time until now counts', () => {
+    const report = calculate(parseArgs(['07:42']), config, now);
+    assert.strictEqual(report.end, '12:00');
+    assert.strictEqual(report.workingHours, (4 * 60 + 18) / 60);
+    assert.strictEqual(report.leaveTime, '16:12');
+    assert.strictEqual(report.totalBalance, null);
+});
+
+test('a start later today has no worked time yet', () => {
+    const report = calculate(parseArgs(['13:00', '--balance', '2']), config, now);
+    assert.strictEqual(report.end, null);
+    assert.strictEqual(report.workingHours, 0);
+    assert.strictEqual(report.todayBalance, -8);
+    assert.strictEqual(report.totalBalance, -6);
+    assert.strictEqual(report.leaveTime, '21:30');
+});
+
+test('a night shift ends on the next day or started yesterday', () => {
+    assert.throws(() => calculate(parseArgs(['22:00', '06:00']), config, now), /--overnight/);
+    assert.strictEqual(calculate(parseArgs(['22:00', '06:00', '--overnight']), config, now).workingHours, 7.5);
+
+    const running = calculate(parseArgs(['22:00', '--overnight']), config, new Date(2026, 9, 20, 2, 0));
+    assert.strictEqual(running.date, '2026-10-19');
+    assert.strictEqual(running.workingHours, 4);
+    assert.strictEqual(running.leaveTime, '06:30');
+});
+
+test('short days, weekends and holidays use the target of the settings', () => {
+    const scheduled = { ...config, weeklySchedule: { enabled: true, hours: [0, 8, 8, 8, 8, 5, 0] }, holidays: { state: 'BY' } };
+    const friday = calculate(parseArgs(['08:00', '13:00']), scheduled, new Date(2026, 9, 23, 14, 0));
+    assert.strictEqual(friday.targetHours, 5);
+    assert.strictEqual(friday.todayBalance, 0);
+    assert.strictEqual(friday.leaveTime, '13:00');
+
+    const allSaints = calculate(parseArgs(['10:00', '12:00']), scheduled, new Date(2026, 10, 1, 14, 0));
+    assert.strictEqual(allSaints.targetHours, 0);
+    assert.strictEqual(allSaints.todayBalance, 2);
+});
+
+test('the report is printed in the configured language', () => {
+    const report = calculate(parseArgs(['08:00', '17:00', '--balance', '1']), config, now);
+    assert.strictEqual(formatReport(report, 'en'), [
+        'Working Hours: 08:30',
+        'Today\'s Balance: +00:30',
+        'Total Overtime: +01:30',
+        'To reach target, leave at: 16:30'
+    ].join('\n'));
+    assert.match(formatReport(report, 'de'), /^Arbeitszeit: 08:30\nHeutige Bilanz: \+00:30/);
+});
+
+test('the countdown switches to overtime after the leave time', () => {
+    const report = calculate(parseArgs(['08:00']), config, now);
+    assert.strictEqual(formatCountdown(report, now), 'Time until end of work (16:30): 04:30:00');
+    assert.strictEqual(formatCountdown(report, new Date(2026, 9, 19, 16, 45, 5)), 'You are doing overtime: +00:15:05');
+});
+
+test('the settings file can be a stored config or a backup', () => {
+    const stored = loadConfig(writeConfig({ targetHours: '7', language: 'de', breakRules: { preset: 'jarbschg' } }));
+    assert.strictEqual(stored.targetHours, 7);
+    assert.strictEqual(stored.breakDuration, 30);
+    assert.strictEqual(stored.language, 'de');
+    assert.strictEqual(stored.breakRules.preset, 'jarbschg');
+
+    const backup = loadConfig(writeConfig({ app: 'feierabend', version: 1, data: { config: { targetHours: 6 } } }));
+    assert.strictEqual(backup.targetHours, 6);
+
+    assert.throws(() => loadConfig(writeConfig('{broken')), /Cannot read settings file/);
+});
+
+test('the command prints JSON and fails with a message', () => {
+    const bin = path.join(__dirname, '..', 'bin', 'feierabend.js');
+    const configFile = writeConfig({ targetHours: 8, breakDuration: 45 });
+    const output = execFileSync(process.execPath, [bin, '08:00', '17:00', '--json', '--config', configFile], { encoding: 'utf8' });
+    const report = JSON.parse(output);
+    assert.strictEqual(report.workingHours, 8.25);
+    assert.strictEqual(report.leaveTime, '16:45');
+
+    assert.throws(
+        () => execFileSync(process.execPath, [bin, 'soon'], { encoding: 'utf8', stdio: 'pipe' }),
+        error => error.status === 1 && /Invalid time: soon/.test(error.stderr)
+    );
+});
@@ -0,0 +1,120 @@
+process.env.TZ = 'Europe/Berlin';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// Die Skripte laufen wie im Browser als klassische Skripte in einem gemeinsamen Kontext,
+// ihre Arrays stammen aus diesem Kontext und werden für deepStrictEqual mit Array.from übernommen
+const load = (context, file) => vm.runInContext(fs.readFileSync(path.join(__dirname, '../src', file), 'utf8'), context);
+
+const page = vm.createContext({});
+load(page, 'workday.js');
+load(page, 'notification-scheduler.js');
+const NotificationScheduler = vm.runInContext('NotificationScheduler', page);
+
+/**
+ * Service worker with the cache, the notifications and the messages of a browser
+ */
+function createWorker({ triggers = false } = {}) {
+    const cache = new Map();
+    const listeners = {};
+    const notifications = [];
+    const worker = {
+        console, setTimeout, clearTimeout, Date, JSON, Math, Number, Array, Promise, URL,
+        Response: class {
+            constructor(body) {
+                this.body = body;
+            }
+            async json() {
+                return JSON.parse(this.body);
+            }
+        },
+        caches: {
+            open: async name => ({
+                match: async key => cache.get(`${name}/${key}`),
+                put: async (key, value) => cache.set(`${name}/${key}`, value)
+            })
+        },
+        registration: {
+            showNotification: async (title, options) => notifications.push({ title, ...options, closed: false }),
+            getNotifications: async () => notifications
+                .filter(notification => !notification.closed)
+                .map(notification => ({ tag: notification.tag, close: () => { notification.closed = true; } }))
+        },
+        addEventListener: (type, listener) => { listeners[type] = listener; }
+    };
+    if (triggers) {
+        worker.TimestampTrigger = class {
+            constructor(timestamp) {
+                this.timestamp = timestamp;
+            }
+        };
+    }
+    worker.self = worker;
+    vm.createContext(worker);
+    load(worker, 'service-worker.js');
+
+    const send = data => {
+        let done;
+        listeners.message({ data, waitUntil: promise => { done = promise; } });
+        return done;
+    };
+    const stored = async () => JSON.parse(cache.get('feierabend-alerts/alerts.json').body);
+    return { send, notifications, stored };
+}
+
+const minutes = count => count * 60 * 1000;
+
+test('alerts for the end of work and the daily maximum', () => {
+    const endTime = new Date(2026, 9, 19, 16, 30);
+    const limitTime = new Date(2026, 9, 19, 18, 30);
+    const alerts = NotificationScheduler.createAlerts(endTime, limitTime, key => key);
+
+    assert.deepStrictEqual(Array.from(alerts, alert => [alert.tag, alert.at]), [
+        ['end-soon', endTime.getTime() - minutes(15)],
+        ['end', endTime.getTime()],
+        ['limit', limitTime.getTime() - minutes(30)]
+    ]);
+    assert.strictEqual(alerts[0].body, 'endOfWorkAtMessage 16:30');
+
+    // Ohne Feierabend (z. B. eingetragenes Ende) bleibt nur die Warnung vor dem Maximum
+    assert.deepStrictEqual(Array.from(NotificationScheduler.createAlerts(null, limitTime, key => key), alert => alert.tag), ['limit']);
+    assert.strictEqual(NotificationScheduler.createAlerts(null, null, key => key).length, 0);
+});
+
+test('a rescheduled alert is shown once, alerts overdue by more than 30 minutes are dropped', async () => {
+    const worker = createWorker();
+    const now = Date.now();
+    const soon = { tag: 'end-soon', at: now - minutes(1), title: 'Soon', body: '' };
+    const end = { tag: 'end', at: now + minutes(60), title: 'End', body: '' };
+    const stale = { tag: 'limit', at: now - minutes(31), title: 'Limit', body: '' };
+
+    await worker.send({ type: 'scheduleAlerts', alerts: [soon, end, stale] });
+    assert.deepStrictEqual(worker.notifications.map(notification => notification.title), ['Soon']);
+
+    // The end moves to now: the pre-alert keeps its time and is not shown again
+    await worker.send({ type: 'scheduleAlerts', alerts: [soon, { ...end, at: now }] });
+    await worker.send({ type: 'checkAlerts' });
+    assert.deepStrictEqual(worker.notifications.map(notification => notification.title), ['Soon', 'End']);
+    assert.deepStrictEqual((await worker.stored()).map(alert => [alert.tag, alert.shown]), [['end-soon', true], ['end', true]]);
+});
+
+test('cancelled alerts are not shown and their pending notifications are closed', async () => {
+    const worker = createWorker();
+    const end = { tag: 'end', at: Date.now() + minutes(60), title: 'End', body: '' };
+    await worker.send({ type: 'scheduleAlerts', alerts: [end] });
+    await worker.send({ type: 'scheduleAlerts', alerts: [] });
+    await worker.send({ type: 'checkAlerts' });
+    assert.deepStrictEqual(worker.notifications, []);
+    assert.deepStrictEqual(await worker.stored(), []);
+
+    const withTriggers = createWorker({ triggers: true });
+    await withTriggers.send({ type: 'scheduleAlerts', alerts: [end] });
+    assert.strictEqual(withTriggers.notifications[0].showTrigger.timestamp, end.at);
+    await withTriggers.send({ type: 'scheduleAlerts', alerts: [{ ...end, at: end.at + minutes(30) }] });
+    await withTriggers.send({ type: 'scheduleAlerts', alerts: [] });
+    assert.deepStrictEqual(withTriggers.notifications.map(notification => notification.closed), [true, true]);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ServerStorage } = require('../src/server-storage.js');
+
+const day = (date, todayBalance) => ({ date, type: 'work', startTime: '08:00', endTime: '16:30', workingHours: 8 + todayBalance, targetHours: 8, todayBalance });
+
+test('a day logged only in this browser is kept and uploaded', () => {
+    const local = [day('2026-10-12', 1), day('2026-10-14', 0.5)];
+    const server = [day('2026-10-13', -1), day('2026-10-14', 0)];
+    const { days, upload } = ServerStorage.mergeDays(local, server);
+
+    assert.deepStrictEqual(days.map(entry => entry.date), ['2026-10-12', '2026-10-13', '2026-10-14']);
+    assert.deepStrictEqual(upload.map(entry => entry.date), ['2026-10-12']);
+    // Both have the 14th: the server's entry wins
+    assert.strictEqual(days[2].todayBalance, 0);
+});
+
+test('an empty server gets every local day, an empty browser every server day', () => {
+    const local = [day('2026-10-13', 0), day('2026-10-12', 0)];
+    assert.deepStrictEqual(ServerStorage.mergeDays(local, []).upload.map(entry => entry.date), ['2026-10-12', '2026-10-13']);
+
+    const { days, upload } = ServerStorage.mergeDays([], local);
+    assert.strictEqual(days.length, 2);
+    assert.deepStrictEqual(upload, []);
+});
+
+test('a day deleted on another device is not uploaded again', () => {
+    const deleted = { '2026-10-12': '2026-10-19T09:00:00.000Z', '2026-10-13': '2026-10-19T09:00:00.000Z' };
+    const local = [
+        // Saved here before the deletion, or by an older version without updatedAt
+        { ...day('2026-10-12', 0), updatedAt: '2026-10-19T08:00:00.000Z' },
+        day('2026-10-13', 0),
+        // Logged here again after the deletion
+        { ...day('2026-10-14', 0), updatedAt: '2026-10-19T08:00:00.000Z' }
+    ];
+    const { days, upload, removed } = ServerStorage.mergeDays(local, [], { ...deleted, '2026-10-14': '2026-10-18T09:00:00.000Z' });
+
+    assert.deepStrictEqual(removed, ['2026-10-12', '2026-10-13']);
+    assert.deepStrictEqual(upload.map(entry => entry.date), ['2026-10-14']);
+    assert.deepStrictEqual(days.map(entry => entry.date), ['2026-10-14']);
+});
+
+test('the settings changed last are the newer ones', () => {
+    const earlier = { targetHours: 8, updatedAt: '2026-10-19T08:00:00.000Z' };
+    const later = { targetHours: 7, updatedAt: '2026-10-19T09:00:00.000Z' };
+    assert.strictEqual(ServerStorage.isNewerConfig(later, earlier), true);
+    assert.strictEqual(ServerStorage.isNewerConfig(earlier, later), false);
+    assert.strictEqual(ServerStorage.isNewerConfig(earlier, earlier), false);
+
+    // Settings of older versions have no updatedAt and never win
+    assert.strictEqual(ServerStorage.isNewerConfig({ targetHours: 8 }, earlier), false);
+    assert.strictEqual(ServerStorage.isNewerConfig(earlier, { targetHours: 8 }), true);
+    assert.strictEqual(ServerStorage.isNewerConfig({}, {}), false);
+});
@@ -0,0 +1,162 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createServer, JsonStore } = require('../server/index.js');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'feierabend-server-'));
+const dataFile = path.join(dataDir, 'data.json');
+let server;
+let baseUrl;
+
+const day = (date, todayBalance) => ({ date, type: 'work', startTime: '08:00', endTime: '16:30', workingHours: 8 + todayBalance, targetHours: 8, todayBalance });
+
+const api = async (method, route, body) => {
+    const response = await fetch(`${baseUrl}/api/${route}`, {
+        method,
+        headers: body !== undefined ? { 'Content-Type': 'application/json' } : {},
+        body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+};
+
+before(async () => {
+    server = createServer({ dataFile });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('the health check identifies the server', async () => {
+    assert.deepStrictEqual((await api('GET', 'health')).body, { app: 'feierabend', version: 1 });
+});
+
+test('settings are stored per profile and repaired', async () => {
+    assert.strictEqual((await api('GET', 'config')).status, 404);
+
+    const saved = await api('PUT', 'config', { targetHours: '7.5', theme: 'neon', openingBalance: 2 });
+    assert.strictEqual(saved.status, 200);
+    assert.strictEqual(saved.body.targetHours, 7.5);
+    assert.strictEqual(saved.body.theme, undefined);
+    assert.strictEqual(saved.body.schemaVersion, 1);
+
+    assert.strictEqual((await api('GET', 'config')).body.targetHours, 7.5);
+    assert.strictEqual((await api('GET', 'config?profile=profile-x')).status, 404);
+    assert.strictEqual((await api('PUT', 'config', '[1, 2]')).status, 400);
+    assert.strictEqual((await api('PUT', 'config', '{broken')).status, 400);
+});
+
+test('days are saved, listed, replaced and deleted', async () => {
+    assert.deepStrictEqual((await api('GET', 'days')).body, []);
+
+    assert.strictEqual((await api('PUT', 'days/2026-10-13', day('2026-10-13', 0.5))).status, 200);
+    assert.strictEqual((await api('PUT', 'days/2026-10-12', day('2026-10-12', -1))).status, 200);
+    assert.deepStrictEqual((await api('GET', 'days')).body.map(entry => entry.date), ['2026-10-12', '2026-10-13']);
+    assert.strictEqual((await api('GET', 'days/2026-10-13')).body.todayBalance, 0.5);
+
+    // The date in the path and in the entry must match, the numbers must be there
+    assert.strictEqual((await api('PUT', 'days/2026-10-14', day('2026-10-15', 0))).status, 400);
+    assert.strictEqual((await api('PUT', 'days/2026-10-14', { date: '2026-10-14' })).status, 400);
+    assert.strictEqual((await api('PUT', 'days/yesterday', day('2026-10-14', 0))).status, 400);
+
+    assert.strictEqual((await api('DELETE', 'days/2026-10-12')).status, 204);
+    assert.strictEqual((await api('GET', 'days/2026-10-12')).status, 404);
+
+    const replaced = await api('PUT', 'days?profile=profile-x', [day('2026-10-01', 1), day('2026-10-02', 1)]);
+    assert.strictEqual(replaced.body.length, 2);
+    assert.strictEqual((await api('GET', 'days')).body.length, 1);
+});
+
+test('the balance adds the opening balance and the logged days', async () => {
+    assert.deepStrictEqual((await api('GET', 'balance')).body, { balance: 2.5, openingBalance: 2, days: 1 });
+    assert.deepStrictEqual((await api('GET', 'balance?before=2026-10-13')).body, { balance: 2, openingBalance: 2, days: 0 });
+    assert.strictEqual((await api('GET', 'balance?profile=profile-x')).body.balance, 2);
+});
+
+test('deleted days are recorded with the time of deletion', async () => {
+    const route = 'days?profile=profile-z';
+    await api('PUT', route, [day('2026-10-05', 0), day('2026-10-06', 0), day('2026-10-07', 0)]);
+    assert.deepStrictEqual((await api('GET', 'deleted?profile=profile-z')).body, {});
+
+    assert.strictEqual((await api('DELETE', 'days/2026-10-05?profile=profile-z')).status, 204);
+    // Replacing the day log deletes the days that are missing from the new one
+    await api('PUT', route, [day('2026-10-07', 0), day('2026-10-08', 0)]);
+    const deleted = (await api('GET', 'deleted?profile=profile-z')).body;
+    assert.deepStrictEqual(Object.keys(deleted).sort(), ['2026-10-05', '2026-10-06']);
+    assert.ok(!isNaN(Date.parse(deleted['2026-10-05'])));
+
+    // Logging a deleted day again takes it off the list
+    await api('PUT', 'days/2026-10-05?profile=profile-z', day('2026-10-05', 0));
+    assert.deepStrictEqual(Object.keys((await api('GET', 'deleted?profile=profile-z')).body), ['2026-10-06']);
+    assert.strictEqual((await api('DELETE', 'profile?profile=profile-z')).status, 204);
+});
+
+test('days with broken times, intervals or dates are rejected', async () => {
+    const script = '<img src=x onerror=alert(1)>';
+    assert.strictEqual((await api('PUT', 'days/2026-10-14', { ...day('2026-10-14', 0), startTime: script })).status, 400);
+    assert.strictEqual((await api('PUT', 'days/2026-10-14', { ...day('2026-10-14', 0), segments: [{ start: '17:00', end: script }] })).status, 400);
+    assert.strictEqual((await api('PUT', 'days/2026-10-14', { ...day('2026-10-14', 0), breaks: 'lunch' })).status, 400);
+    assert.strictEqual((await api('PUT', 'days', [day('2026-10-14', 0), { ...day('2026-10-15', 0), endTime: '25:00' }])).status, 400);
+    assert.strictEqual((await api('PUT', 'days/2026-02-30', day('2026-02-30', 0))).status, 400);
+    assert.strictEqual((await api('GET', 'balance?before=2026-13-45')).status, 400);
+
+    // Absences have no times, a running interval has no end yet
+    const vacation = { date: '2026-10-14', type: 'vacation', startTime: '', endTime: '', workingHours: 8, targetHours: 8, todayBalance: 0 };
+    assert.strictEqual((await api('PUT', 'days/2026-10-14?profile=profile-y', vacation)).status, 200);
+    const running = { ...day('2026-10-15', 0), segments: [{ start: '17:00', end: '' }], breaks: [{ start: '12:00', end: '12:30' }] };
+    assert.strictEqual((await api('PUT', 'days/2026-10-15?profile=profile-y', running)).status, 200);
+    assert.strictEqual((await api('DELETE', 'profile?profile=profile-y')).status, 204);
+});
+
+test('the data survives a restart and a deleted profile is gone', async () => {
+    const restarted = new JsonStore(dataFile);
+    assert.strictEqual(restarted.getProfile('default').config.targetHours, 7.5);
+    assert.deepStrictEqual(restarted.getDays('profile-x').map(entry => entry.date), ['2026-10-01', '2026-10-02']);
+
+    assert.strictEqual((await api('DELETE', 'profile?profile=profile-x')).status, 204);
+    assert.deepStrictEqual((await api('GET', 'days?profile=profile-x')).body, []);
+    assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(dataFile, 'utf8')).profiles), ['default']);
+});
+
+test('profile ids that are names of object properties are plain profiles', async () => {
+    assert.deepStrictEqual((await api('GET', 'days?profile=constructor')).body, []);
+    assert.strictEqual((await api('GET', 'days/2026-01-01?profile=hasOwnProperty')).status, 404);
+
+    assert.strictEqual((await api('PUT', 'config?profile=__proto__', { targetHours: 6 })).status, 200);
+    assert.strictEqual((await api('GET', 'config?profile=__proto__')).body.targetHours, 6);
+    assert.strictEqual((await api('GET', 'config?profile=constructor')).status, 404);
+    assert.strictEqual(new JsonStore(dataFile).getProfile('__proto__').config.targetHours, 6);
+    assert.strictEqual((await api('DELETE', 'profile?profile=__proto__')).status, 204);
+});
+
+test('unknown routes, methods and profiles are rejected', async () => {
+    assert.strictEqual((await api('GET', 'nothing')).status, 404);
+    assert.strictEqual((await api('POST', 'days')).status, 405);
+    assert.strictEqual((await api('GET', 'days?profile=../../etc')).status, 400);
+
+    // Extra path segments are no route of their own
+    assert.strictEqual((await api('PUT', 'days/2026-10-20/x', day('2026-10-20', 0))).status, 404);
+    assert.strictEqual((await api('GET', 'config/x')).status, 404);
+    assert.strictEqual((await api('GET', 'days/2026-10-20')).status, 404);
+});
+
+test('the web app is served from src', async () => {
+    const page = await fetch(`${baseUrl}/`);
+    assert.strictEqual(page.status, 200);
+    assert.match(page.headers.get('content-type'), /text\/html/);
+    assert.match(await page.text(), /<script src="server-storage.js"><\/script>/);
+
+    const script = await fetch(`${baseUrl}/workday.js`);
+    assert.match(script.headers.get('content-type'), /javascript/);
+    await script.text();
+
+    assert.strictEqual((await fetch(`${baseUrl}/missing.js`)).status, 404);
+    assert.strictEqual((await fetch(`${baseUrl}/..%2fpackage.json`)).status, 403);
+    assert.strictEqual((await fetch(`${baseUrl}/%E0%A4%A`)).status, 400);
+});
@@ -0,0 +1,237 @@
+// Die Tests rechnen in deutscher Zeit, damit Sommer- und Winterzeit geprüft werden können
+process.env.TZ = 'Europe/Berlin';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { computeWorkday, WorkdayCalculator, BreakRuleEngine, TimeRounding, HolidayCalendar } = require('../src/workday.js');
+
+const config = { targetHours: 8, breakDuration: 30 };
+const now = new Date(2026, 9, 19, 12, 0);
+const day = input => computeWorkday({ date: '2026-10-19', now, ...input }, config);
+const time = date => WorkdayCalculator.formatTime(date);
+
+test('a regular day deducts the planned break', () => {
+    const result = day({ startTime: '08:00', endTime: '16:30' });
+    assert.strictEqual(result.status, 'complete');
+    assert.strictEqual(result.breakMinutes, 30);
+    assert.strictEqual(result.workingHours, 8);
+    assert.strictEqual(result.todayBalance, 0);
+    assert.strictEqual(time(result.suggestedEndTime), '16:30');
+});
+
+test('the balance carries the previous flex balance', () => {
+    const result = day({ startTime: '08:00', endTime: '17:00', balance: 2 });
+    assert.strictEqual(result.todayBalance, 0.5);
+    assert.strictEqual(result.newTotalBalance, 2.5);
+});
+
+test('without a start or end only the suggestion is calculated', () => {
+    assert.strictEqual(day({}).status, 'noStart');
+    assert.strictEqual(day({}).suggestedEndTime, null);
+
+    const result = day({ startTime: '07:15' });
+    assert.strictEqual(result.status, 'noEnd');
+    assert.strictEqual(time(result.suggestedEndTime), '15:45');
+    assert.strictEqual(result.workingHours, undefined);
+});
+
+test('a short day needs no break and offers it as optional', () => {
+    const result = day({ startTime: '08:00', endTime: '13:00', targetHours: 5 });
+    assert.strictEqual(result.breakMinutes, 0);
+    assert.strictEqual(result.workingHours, 5);
+    assert.strictEqual(result.breakOptional, true);
+    assert.strictEqual(time(result.suggestedEndTime), '13:00');
+});
+
+test('a forced break applies to a short day as well', () => {
+    const result = computeWorkday({ date: '2026-10-19', now, startTime: '08:00', endTime: '13:30', targetHours: 5, forceBreak: true }, config);
+    assert.strictEqual(result.breakMinutes, 30);
+    assert.strictEqual(result.workingHours, 5);
+});
+
+test('ArbZG thresholds: 30 minutes after six hours, 45 after nine', () => {
+    const workday = new WorkdayCalculator({ targetHours: 8, breakDuration: 0 });
+    assert.strictEqual(workday.getEffectiveBreakDuration(6 * 60), 0);
+    assert.strictEqual(workday.getEffectiveBreakDuration(6 * 60 + 1), 30);
+    assert.strictEqual(workday.getEffectiveBreakDuration(9 * 60), 30);
+    assert.strictEqual(workday.getEffectiveBreakDuration(9 * 60 + 1), 45);
+
+    // Just above a threshold the deduction never pushes the working time below it
+    const noPlannedBreak = input => computeWorkday({ date: '2026-10-19', now, ...input }, { targetHours: 8, breakDuration: 0 });
+    assert.strictEqual(noPlannedBreak({ startTime: '08:00', endTime: '14:15' }).workingHours, 6);
+    assert.strictEqual(noPlannedBreak({ startTime: '08:00', endTime: '17:40' }).workingHours, 9);
+    assert.strictEqual(day({ startTime: '08:00', endTime: '18:00' }).breakMinutes, 45);
+});
+
+test('the JArbSchG preset and custom rules replace the ArbZG rules', () => {
+    const youth = new WorkdayCalculator({ targetHours: 8, breakDuration: 0, breakRules: { preset: 'jarbschg' } });
+    assert.strictEqual(youth.getEffectiveBreakDuration(5 * 60), 30);
+    assert.strictEqual(youth.getEffectiveBreakDuration(7 * 60), 60);
+
+    const custom = new BreakRuleEngine(BreakRuleEngine.getRules({ preset: 'custom', custom: [{ afterHours: 4, minBreak: 15 }] }));
+    assert.strictEqual(custom.getRequiredBreak(4 * 60 + 1), 15);
+    assert.strictEqual(custom.getRequiredBreak(10 * 60), 15);
+});
+
+test('a future start with the same end only estimates the end', () => {
+    const result = day({ startTime: '14:00', endTime: '14:00' });
+    assert.strictEqual(result.status, 'estimate');
+    assert.strictEqual(result.workingHours, 0);
+    assert.strictEqual(result.todayBalance, -8);
+    assert.strictEqual(time(result.suggestedEndTime), '22:30');
+});
+
+test('a future day with different times is planned like a normal day', () => {
+    const result = day({ date: '2026-10-20', startTime: '09:00', endTime: '17:30' });
+    assert.strictEqual(result.status, 'complete');
+    assert.strictEqual(result.workingHours, 8);
+});
+
+test('an end before the start needs the overnight flag', () => {
+    assert.strictEqual(day({ startTime: '22:00', endTime: '06:00' }).status, 'endBeforeStart');
+
+    const result = day({ startTime: '22:00', endTime: '06:00', overnight: true });
+    assert.strictEqual(result.status, 'complete');
+    assert.strictEqual(result.workingHours, 7.5);
+    assert.strictEqual(WorkdayCalculator.getDateKey(result.segments[0].end), '2026-10-20');
+});
+
+test('the suggested end of a night shift lies on the next day', () => {
+    const result = day({ startTime: '22:00' });
+    assert.strictEqual(time(result.suggestedEndTime), '06:30');
+    assert.strictEqual(WorkdayCalculator.getDateKey(result.suggestedEndTime), '2026-10-20');
+});
+
+test('a night shift over the end of summer time lasts one hour longer', () => {
+    const result = computeWorkday({ date: '2026-10-24', now, startTime: '22:00', endTime: '06:00', overnight: true }, config);
+    assert.strictEqual(result.totalMinutes, 9 * 60);
+    assert.strictEqual(result.workingHours, 8.5);
+});
+
+test('a night shift over the start of summer time lasts one hour less', () => {
+    const result = computeWorkday({ date: '2026-03-28', now, startTime: '22:00', endTime: '06:00', overnight: true }, config);
+    assert.strictEqual(result.totalMinutes, 7 * 60);
+    assert.strictEqual(result.workingHours, 6.5);
+});
+
+test('logged breaks replace the planned break and are topped up to the legal minimum', () => {
+    const longBreak = day({ startTime: '08:00', endTime: '17:00', breaks: [{ start: '12:00', end: '13:00' }] });
+    assert.strictEqual(longBreak.loggedBreakMinutes, 60);
+    assert.strictEqual(longBreak.breakMinutes, 60);
+    assert.strictEqual(longBreak.topUpMinutes, 0);
+    assert.strictEqual(longBreak.breakOptional, false);
+
+    const shortBreak = day({ startTime: '08:00', endTime: '17:00', breaks: [{ start: '12:00', end: '12:15' }] });
+    assert.strictEqual(shortBreak.breakMinutes, 30);
+    assert.strictEqual(shortBreak.topUpMinutes, 15);
+});
+
+test('overlapping breaks are counted once and only within working time', () => {
+    const result = day({
+        startTime: '08:00',
+        endTime: '16:30',
+        breaks: [{ start: '12:00', end: '12:30' }, { start: '12:15', end: '12:45' }, { start: '07:00', end: '07:30' }]
+    });
+    assert.strictEqual(result.loggedBreakMinutes, 45);
+});
+
+test('a break without end counts until now only while on a break', () => {
+    const input = { date: '2026-10-19', now, startTime: '08:00', targetHours: 5, breaks: [{ start: '11:30', end: '' }] };
+    const working = computeWorkday(input, config);
+    assert.strictEqual(working.breakOptional, true);
+    assert.strictEqual(time(working.suggestedEndTime), '13:00');
+
+    const onBreak = computeWorkday({ ...input, onBreak: true }, config);
+    assert.strictEqual(onBreak.breakOptional, false);
+    assert.strictEqual(time(onBreak.suggestedEndTime), '13:30');
+});
+
+test('gaps between work segments count as breaks already taken', () => {
+    const result = day({ startTime: '08:00', endTime: '12:00', segments: [{ start: '12:45', end: '17:00' }] });
+    assert.strictEqual(result.gapMinutes, 45);
+    assert.strictEqual(result.breakMinutes, 0);
+    assert.strictEqual(result.workingHours, 8.25);
+    assert.strictEqual(time(result.suggestedEndTime), '16:45');
+});
+
+test('an open work segment runs until now on a live day only', () => {
+    const today = day({ startTime: '06:00', endTime: '08:00', segments: [{ start: '09:00', end: '' }] });
+    assert.strictEqual(today.totalMinutes, 5 * 60);
+
+    const past = day({ date: '2026-10-12', startTime: '06:00', endTime: '08:00', segments: [{ start: '09:00', end: '' }] });
+    assert.strictEqual(past.totalMinutes, 2 * 60);
+});
+
+test('rounding follows the time clock while the legal limits use the raw times', () => {
+    const rounding = { enabled: true, unit: 15, startDirection: 'up', endDirection: 'down', graceMinutes: 0 };
+    const result = computeWorkday({ date: '2026-10-19', now, startTime: '07:52', endTime: '16:38' }, { ...config, rounding });
+    assert.strictEqual(time(result.segments[0].start), '08:00');
+    assert.strictEqual(time(result.segments[0].end), '16:30');
+    assert.strictEqual(result.workingHours, 8);
+    assert.strictEqual(result.rawWorkingHours, (8 * 60 + 16) / 60);
+
+    const clock = new TimeRounding(rounding);
+    assert.strictEqual(time(clock.getEarliestEnd(new Date(2026, 9, 19, 16, 31))), '16:45');
+});
+
+test('leave goals change the suggested end', () => {
+    const input = { startTime: '08:00', balance: 2 };
+    assert.strictEqual(time(day({ ...input, leaveGoal: { mode: 'zeroBalance' } }).suggestedEndTime), '14:00');
+    assert.strictEqual(time(day({ ...input, leaveGoal: { mode: 'bank', bankHours: 1 } }).suggestedEndTime), '17:30');
+    assert.strictEqual(time(day({ ...input, coreTimeEnd: '17:00' }).suggestedEndTime), '17:00');
+
+    const fixed = day({ ...input, leaveGoal: { mode: 'fixedTime', fixedTime: '15:30' } });
+    assert.strictEqual(time(fixed.suggestedEndTime), '16:30');
+    assert.deepStrictEqual(fixed.goalResult, { todayBalance: -1, newTotalBalance: 1 });
+});
+
+test('flex limits and the daily maximum give the leave times', () => {
+    const result = computeWorkday({
+        date: '2026-10-19',
+        now,
+        startTime: '08:00',
+        endTime: '16:30',
+        balance: 0
+    }, { ...config, flexLimits: { upper: 1, lower: -2 }, compliance: { maxDailyHours: 10 } });
+    assert.strictEqual(time(result.leaveTimes.latest), '17:30');
+    // Six hours of work need no break yet
+    assert.strictEqual(time(result.leaveTimes.earliest), '14:00');
+    assert.strictEqual(time(result.limitEndTime), '18:45');
+
+    assert.deepStrictEqual(day({ startTime: '08:00', endTime: '16:30' }).leaveTimes, { latest: null, earliest: null });
+});
+
+test('formatHours rounds to minutes and keeps the sign', () => {
+    assert.strictEqual(WorkdayCalculator.formatHours(7.5), '07:30');
+    assert.strictEqual(WorkdayCalculator.formatHours(-0.25), '-00:15');
+    assert.strictEqual(WorkdayCalculator.formatHours(1 / 60 * 0.4), '00:00');
+    assert.strictEqual(WorkdayCalculator.formatHours(125), '125:00');
+});
+
+test('the target of a date follows the weekly schedule, holidays and half days', () => {
+    const scheduled = {
+        ...config,
+        weeklySchedule: { enabled: true, hours: [0, 8, 8, 8, 8, 5, 0] },
+        holidays: { state: 'BY', christmasEve: 0.5, newYearsEve: 1 }
+    };
+    const target = dateKey => WorkdayCalculator.getTargetHoursForDate(scheduled, WorkdayCalculator.toDate(dateKey));
+    assert.strictEqual(target('2026-10-19'), 8);
+    assert.strictEqual(target('2026-10-23'), 5);
+    assert.strictEqual(target('2026-10-24'), 0);
+    assert.strictEqual(target('2026-11-01'), 0);
+    assert.strictEqual(target('2026-12-24'), 4);
+    // Without a weekly schedule every day has the daily target
+    assert.strictEqual(WorkdayCalculator.getTargetHoursForDate(config, WorkdayCalculator.toDate('2026-10-24')), 8);
+
+    // Without a target in the input the engine uses the one of the date
+    const friday = computeWorkday({ date: '2026-10-23', now, startTime: '08:00', endTime: '13:00' }, scheduled);
+    assert.strictEqual(friday.targetHours, 5);
+    assert.strictEqual(friday.todayBalance, 0);
+});
+
+test('Reformationstag was a holiday everywhere in 2017 only', () => {
+    assert.strictEqual(HolidayCalendar.getHoliday(new Date(2017, 9, 31), 'BY'), 'Reformationstag');
+    assert.strictEqual(HolidayCalendar.getHoliday(new Date(2018, 9, 31), 'BY'), null);
+    assert.strictEqual(HolidayCalendar.getHoliday(new Date(2018, 9, 31), 'NI'), 'Reformationstag');
+    assert.strictEqual(HolidayCalendar.getHoliday(new Date(2016, 9, 31), 'SN'), 'Reformationstag');
+});